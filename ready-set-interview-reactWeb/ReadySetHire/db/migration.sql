@@ -0,0 +1,182 @@
+-- ReadySetHire schema additions for the interview REST API (PostgREST)
+--
+-- The app needs these on top of the original interview, question, applicant and applicant_answer tables.
+-- Run this against the API's database, and again whenever it changes, then reload PostgREST's schema
+-- cache (NOTIFY pgrst, 'reload schema'). Every statement is safe to run again.
+--
+-- New tables follow the existing ones: each row carries the owner's username, and row-level security
+-- only shows a user their own rows. Replace "authenticated" and "anon" with the roles PostgREST uses for
+-- requests with and without a JWT if yours are different.
+-- The local backend (VITE_DATA_BACKEND=local) needs none of this.
+
+BEGIN;
+
+-- Username claim of the JWT making the request, used by the row-level security policies below
+CREATE OR REPLACE FUNCTION request_username() RETURNS text
+  LANGUAGE sql STABLE
+  AS $$ SELECT current_setting('request.jwt.claims', true)::json ->> 'username' $$;
+
+
+-- QUESTION: order within the interview
+ALTER TABLE question
+  ADD COLUMN IF NOT EXISTS position integer;
+
+
+-- INTERVIEW: how applicants may answer
+ALTER TABLE interview
+  ADD COLUMN IF NOT EXISTS answer_mode text NOT NULL DEFAULT 'Candidate Choice'
+    CHECK (answer_mode IN ('Candidate Choice', 'Text Only'));
+
+
+-- Time limits: the whole interview, counted from when the applicant first starts, and each question's answer
+ALTER TABLE interview
+  ADD COLUMN IF NOT EXISTS time_limit_minutes integer CHECK (time_limit_minutes > 0);
+ALTER TABLE question
+  ADD COLUMN IF NOT EXISTS time_limit_seconds integer CHECK (time_limit_seconds > 0);
+ALTER TABLE applicant
+  ADD COLUMN IF NOT EXISTS started_at timestamptz;
+ALTER TABLE applicant_answer
+  ADD COLUMN IF NOT EXISTS time_taken integer CHECK (time_taken >= 0);
+
+
+-- INTERVIEW: preparation time before each answer is recorded
+ALTER TABLE interview
+  ADD COLUMN IF NOT EXISTS preparation_seconds integer CHECK (preparation_seconds >= 0);
+
+
+-- INTERVIEW: hiring pipeline stages, in order
+ALTER TABLE interview
+  ADD COLUMN IF NOT EXISTS pipeline_stages text[];
+
+
+-- APPLICANT: interview_status holds any of the interview's pipeline stage names, so it is free text
+-- (drop any CHECK constraint that limits it to the original statuses)
+ALTER TABLE applicant
+  ALTER COLUMN interview_status TYPE text USING interview_status::text;
+
+
+-- APPLICANT: the reviewer's overall rating and tags
+ALTER TABLE applicant
+  ADD COLUMN IF NOT EXISTS rating smallint CHECK (rating BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS tags text[] NOT NULL DEFAULT '{}';
+
+
+-- APPLICANT ANSWER: the reviewer's rating and comment
+ALTER TABLE applicant_answer
+  ADD COLUMN IF NOT EXISTS review_rating smallint CHECK (review_rating BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS review_comment text;
+
+
+-- QUESTION: scoring rubric, a list of { name, weight, strong, weak } criteria
+ALTER TABLE question
+  ADD COLUMN IF NOT EXISTS rubric jsonb;
+
+
+-- APPLICANT ANSWER: rubric scores, mapping each rubric criterion name to a score from 1 to 5
+ALTER TABLE applicant_answer
+  ADD COLUMN IF NOT EXISTS rubric_scores jsonb;
+
+
+-- APPLICANT: archived applicants are hidden from the list unless shown on request
+ALTER TABLE applicant
+  ADD COLUMN IF NOT EXISTS archived boolean NOT NULL DEFAULT false;
+
+
+-- APPLICANT ANSWER: one answer per applicant and question, so a resubmitted answer replaces the earlier one.
+-- Duplicates saved before this was enforced are removed first, keeping the latest
+DELETE FROM applicant_answer older
+  USING applicant_answer newer
+  WHERE older.applicant_id = newer.applicant_id
+    AND older.question_id = newer.question_id
+    AND older.id < newer.id;
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'applicant_answer_applicant_id_question_id_key') THEN
+    ALTER TABLE applicant_answer
+      ADD CONSTRAINT applicant_answer_applicant_id_question_id_key UNIQUE (applicant_id, question_id);
+  END IF;
+END
+$$;
+
+
+-- APPLICANT: when the applicant first opened each question, keyed by question ID, which the question's time limit counts from
+ALTER TABLE applicant
+  ADD COLUMN IF NOT EXISTS questions_opened_at jsonb NOT NULL DEFAULT '{}';
+
+
+-- QUESTION BANK: reusable questions saved across interviews
+CREATE TABLE IF NOT EXISTS question_bank (
+  id integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  question text NOT NULL,
+  difficulty text NOT NULL CHECK (difficulty IN ('Easy', 'Intermediate', 'Advanced')),
+  tags text[] NOT NULL DEFAULT '{}',
+  username text NOT NULL DEFAULT request_username()
+);
+
+
+-- INTERVIEW TEMPLATE: an interview's settings and questions saved for seeding new interviews
+CREATE TABLE IF NOT EXISTS interview_template (
+  id integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  name text NOT NULL,
+  interview jsonb NOT NULL,
+  questions jsonb NOT NULL DEFAULT '[]',
+  username text NOT NULL DEFAULT request_username()
+);
+
+
+-- INTERVIEW LINK: tokenised links candidates open their interview with, owned by the recruiter who issued them
+CREATE TABLE IF NOT EXISTS interview_link (
+  id integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  token text NOT NULL UNIQUE,
+  applicant_id integer NOT NULL REFERENCES applicant (id) ON DELETE CASCADE,
+  interview_id integer NOT NULL REFERENCES interview (id) ON DELETE CASCADE,
+  expires_at timestamptz NOT NULL,
+  single_use boolean NOT NULL DEFAULT false,
+  consumed_at timestamptz,
+  revoked boolean NOT NULL DEFAULT false,
+  username text NOT NULL DEFAULT request_username()
+);
+CREATE INDEX IF NOT EXISTS interview_link_applicant_id_idx ON interview_link (applicant_id);
+
+
+-- APPLICANT STATUS HISTORY: when each applicant moved between pipeline stages
+CREATE TABLE IF NOT EXISTS applicant_status_history (
+  id integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  applicant_id integer NOT NULL REFERENCES applicant (id) ON DELETE CASCADE,
+  from_status text,
+  to_status text NOT NULL,
+  changed_at timestamptz NOT NULL DEFAULT now(),
+  username text NOT NULL DEFAULT request_username()
+);
+CREATE INDEX IF NOT EXISTS applicant_status_history_applicant_id_idx ON applicant_status_history (applicant_id);
+
+
+-- Row-level security and access for the new tables
+DO $$
+DECLARE
+  table_name text;
+BEGIN
+  FOREACH table_name IN ARRAY ARRAY['question_bank', 'interview_template', 'interview_link', 'applicant_status_history'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', table_name);
+    EXECUTE format('DROP POLICY IF EXISTS owner_rows ON %I', table_name);
+    EXECUTE format(
+      'CREATE POLICY owner_rows ON %I USING (username = request_username()) WITH CHECK (username = request_username())',
+      table_name
+    );
+    EXECUTE format('GRANT SELECT, INSERT, UPDATE, DELETE ON %I TO authenticated', table_name);
+  END LOOP;
+END
+$$;
+
+
+-- Recruiter who issued a link, so the LLM API server can serve the candidate's interview with that
+-- recruiter's credentials. Candidates have no session, so it runs as its owner for the anonymous role
+CREATE OR REPLACE FUNCTION interview_link_owner(link_token text) RETURNS text
+  LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+  AS $$ SELECT username FROM interview_link WHERE interview_link.token = interview_link_owner.link_token $$;
+GRANT EXECUTE ON FUNCTION interview_link_owner(text) TO anon;
+
+-- Replaced by interview_link_owner now that candidate links are tokens
+DROP FUNCTION IF EXISTS applicant_owner(integer, integer);
+
+COMMIT;
@@ -7,10 +7,13 @@ import Applicants from "./components/Applicants";
 import AddApplicants from './components/AddApplicants';
 import AddQuestions from './components/AddQuestions';
 import ViewApplicantAnswers from './components/ViewApplicantAnswers';
+import CompareApplicants from './components/CompareApplicants';
 import TakeInterview from './components/TakeInterview'; 
 import TakeInterviewWelcome from './components/TakeInterviewWelcome';
 import TakeInterviewQuestions from './components/TakeInterviewQuestions';
 import TakeInterviewComplete from './components/TakeInterviewComplete';
+import Login from './components/Login';
+import RequireAuth from './components/RequireAuth';
 
 function App() {
   return (
@@ -20,9 +23,25 @@ function App() {
           <Route path="/" element={<Navigate to="/interviews" replace />} />
 
           <Route 
-            path="/interviews" 
+            path="/login" 
             element={
               <>
+                <Header 
+                  title="Sign In" 
+                  subtitle="Sign in to manage your interview campaigns" 
+                  showInterviewsButton={false}
+                />
+                <main className="flex-grow">
+                  <Login />
+                </main>
+              </>
+            } 
+          />
+
+          <Route 
+            path="/interviews" 
+            element={
+              <RequireAuth>
                 <Header 
                   title="Interview Management" 
                   subtitle="Manage your interview campaigns" 
@@ -31,14 +50,14 @@ function App() {
                 <main className="flex-grow">
                   <Interviews />
                 </main>
-              </>
+              </RequireAuth>
             } 
           />
 
           <Route 
             path="/createinterview" 
             element={
-              <>
+              <RequireAuth>
                 <Header 
                   title="Create Interview" 
                   subtitle="Fill out the form to create a new interview" 
@@ -47,14 +66,14 @@ function App() {
                 <main className="flex-grow"> 
                   <CreateInterview />
                 </main>
-              </>
+              </RequireAuth>
             }
           />
 
           <Route 
             path="/addapplicants" 
             element={
-              <>
+              <RequireAuth>
                 <Header 
                   title="Applicants" 
                   subtitle="Manage your applicants" 
@@ -62,14 +81,14 @@ function App() {
                 <main className="flex-grow">
                   <AddApplicants />
                 </main>
-              </>
+              </RequireAuth>
             } 
           />
 
           <Route 
             path="/questions" 
             element={
-              <>
+              <RequireAuth>
                 <Header 
                   title="Questions Management" 
                   subtitle="Manage your interview questions" 
@@ -77,14 +96,14 @@ function App() {
                 <main className="flex-grow">
                   <Questions />
                 </main>
-              </>
+              </RequireAuth>
             } 
           />
 
           <Route 
             path="/applicants" 
             element={
-              <>
+              <RequireAuth>
                 <Header 
                   title="Applicant Management" 
                   subtitle="Manage your applicants" 
@@ -92,14 +111,14 @@ function App() {
                 <main className="flex-grow">
                   <Applicants />
                 </main>
-              </>
+              </RequireAuth>
             } 
           />
 
           <Route 
             path="/addquestions" 
             element={
-              <>
+              <RequireAuth>
                 <Header 
                   title="Questions Management" 
                   subtitle="Manage your questions" 
@@ -107,14 +126,14 @@ function App() {
                 <main className="flex-grow">
                   <AddQuestions />
                 </main>
-              </>
+              </RequireAuth>
             } 
           />
 
           <Route 
             path="/viewapplicantanswers" 
             element={
-              <>
+              <RequireAuth>
                 <Header 
                   title="Applicant Answers" 
                   subtitle="View applicant response" 
@@ -122,12 +141,27 @@ function App() {
                 <main className="flex-grow">
                   <ViewApplicantAnswers />
                 </main>
-              </>
+              </RequireAuth>
+            } 
+          />
+
+          <Route 
+            path="/compareapplicants" 
+            element={
+              <RequireAuth>
+                <Header 
+                  title="Compare Applicants" 
+                  subtitle="Compare applicant responses side by side" 
+                />
+                <main className="flex-grow">
+                  <CompareApplicants />
+                </main>
+              </RequireAuth>
             } 
           />
 
           <Route 
-            path="/applicant/:applicantId/interview/:interviewId" 
+            path="/interview/:token" 
             element={<TakeInterview />} 
           >
             <Route index element={<TakeInterviewWelcome />} />
@@ -137,7 +171,7 @@ function App() {
           </Route>
         </Routes>
 
-        <footer className="bg-headerblue p-4 text-center text-white">
+        <footer className="bg-headerblue p-4 text-center text-white print:hidden">
           <p>&copy; {new Date().getFullYear()} ReadySetHire. All rights reserved.</p>
         </footer>
       </div>
@@ -1,22 +1,109 @@
-// Base URL for the Interview App RESTful API
-const API_BASE_URL = 'https://comp2140a2.uqcloud.net/api';
+import getBackend from './backends';
 
-// JWT token for authorization, replace with your actual token HERE
-const JWT_TOKEN = '';
+// Data backend handling every request: the hosted REST API or the local stand-in
+const backend = getBackend();
 
-// Your UQ student username, used for row-level security to retrieve your records
-const USERNAME = '';
+// Session storage keys for the signed-in recruiter's JWT token and UQ username
+const SESSION_TOKEN_KEY = 'readysethire.token';
+const SESSION_USERNAME_KEY = 'readysethire.username';
+
+// Window event dispatched when the API rejects the stored token (expired or revoked)
+const AUTH_EXPIRED_EVENT = 'readysethire:auth-expired';
+
+// Hiring pipeline used when an interview has not configured its own. The first three stages are
+// set by the candidate flow (link sent, first answer saved, last answer saved), so every pipeline keeps them
+const DEFAULT_PIPELINE_STAGES = ['Invited', 'In Progress', 'Completed', 'Shortlisted', 'Rejected', 'Offer'];
+const REQUIRED_PIPELINE_STAGES = ['Invited', 'In Progress', 'Completed'];
+
+// Most applicants that can be compared side by side
+const MAX_COMPARED_APPLICANTS = 5;
+
+
+// SESSION HELPERS
+/**
+ * Decode the payload of a JWT without verifying it, used only to read the expiry claim
+ * @param {string} token - JWT token
+ * @returns {object|null} - Decoded payload, or null if the token is not a readable JWT
+ */
+function decodeTokenPayload(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a token has passed its expiry ('exp') claim
+ * @param {string} token - JWT token
+ * @returns {boolean} - True if the token carries an expiry in the past
+ */
+function isTokenExpired(token) {
+  const payload = decodeTokenPayload(token);
+  return Boolean(payload?.exp) && payload.exp * 1000 <= Date.now();
+}
+
+/**
+ * Get the signed-in recruiter's session
+ * @returns {{token: string, username: string}|null} - Current session, or null if signed out
+ */
+function getSession() {
+  const token = sessionStorage.getItem(SESSION_TOKEN_KEY);
+  const username = sessionStorage.getItem(SESSION_USERNAME_KEY);
+  return token && username ? { token, username } : null;
+}
+
+/**
+ * Check whether a recruiter is signed in with a token that has not expired
+ * @returns {boolean} - True if there is a usable session
+ */
+function isAuthenticated() {
+  const session = getSession();
+  return Boolean(session) && !isTokenExpired(session.token);
+}
+
+/**
+ * Clear the recruiter's session
+ */
+function logout() {
+  sessionStorage.removeItem(SESSION_TOKEN_KEY);
+  sessionStorage.removeItem(SESSION_USERNAME_KEY);
+}
+
+/**
+ * Clear the session and notify the app that the recruiter must sign in again
+ */
+function expireSession() {
+  logout();
+  window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+}
+
+/**
+ * Build the request headers, adding the Authorization token when signed in
+ * @param {object} [extraHeaders={}] - Additional headers to include
+ * @returns {object} - Request headers
+ */
+function buildHeaders(extraHeaders = {}) {
+  const session = getSession();
+  return {
+    'Content-Type': 'application/json',
+    ...(session && { 'Authorization': `Bearer ${session.token}` }),
+    ...extraHeaders,
+  };
+}
 
 /**
  * Helper function to handle API requests. Reference from Week 5/6 Lecture
  * It sets the Authorization token and optionally includes the request body.
+ * A 401 response clears the session so the recruiter is sent back to the login page.
  * 
  * @param {string} endpoint - The API endpoint to call.
  * @param {string} [method='GET'] - The HTTP method to use (GET, POST, PATCH, DELETE).
- * @param {object} [body=null] - The request body to send, typically for POST or PATCH.
+ * @param {object|Array<object>} [body=null] - The request body to send, typically for POST or PATCH. An array creates several rows in one request.
  * @param {object} [queryParams={}] - Query parameters for filtering, ordering, etc.
  * @returns {Promise<object>} - The JSON response from the API.
- * @throws Will throw an error if the HTTP response is OK.
+ * @throws Will throw an error if the HTTP response is not OK.
  */
 async function apiRequest(endpoint, method = 'GET', body = null, queryParams = {}) {
   // Build from query parameters
@@ -24,15 +111,12 @@ async function apiRequest(endpoint, method = 'GET', body = null, queryParams = {
     ? '?' + new URLSearchParams(queryParams).toString() 
     : '';
   
-  const url = `${API_BASE_URL}${endpoint}${queryString}`;
+  const url = `${backend.baseUrl}${endpoint}${queryString}`;
   
   // establish options
   const options = {
     method,
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${JWT_TOKEN}`
-    },
+    headers: buildHeaders(),
   };
 
   // If the method is POST or PATCH, we want the response to include the full representation
@@ -40,13 +124,20 @@ async function apiRequest(endpoint, method = 'GET', body = null, queryParams = {
     options.headers['Prefer'] = 'return=representation';
   }
 
-  // If a body is provided, add it to request and username
+  // If a body is provided, add it to request and username (to every row when creating several at once)
   if (body) {
-    options.body = JSON.stringify({ ...body, username: USERNAME });
+    const username = getSession()?.username;
+    options.body = JSON.stringify(
+      Array.isArray(body) ? body.map(row => ({ ...row, username })) : { ...body, username }
+    );
   }
 
   // Make the API request and check if the response is OK
-  const response = await fetch(url, options);
+  const response = await backend.fetch(url, options);
+
+  if (response.status === 401) {
+    expireSession();
+  }
   
   if (!response.ok) {
     throw new Error(`HTTP error! status: ${response.status}, message: ${await response.text()}`);
@@ -61,6 +152,98 @@ async function apiRequest(endpoint, method = 'GET', body = null, queryParams = {
   return response.json();
 }
 
+/**
+ * Helper function to count rows matching a filter using the content-range header
+ * @param {string} endpoint - The API endpoint to count rows for.
+ * @param {object} [queryParams={}] - Query parameters for filtering.
+ * @returns {Promise<number>} - Number of matching rows.
+ * @throws Will throw an error if the HTTP response is not OK.
+ */
+async function apiCount(endpoint, queryParams = {}) {
+  const queryString = new URLSearchParams(queryParams).toString();
+  const response = await backend.fetch(`${backend.baseUrl}${endpoint}?${queryString}`, {
+    method: 'GET',
+    headers: buildHeaders({ 'Prefer': 'count=exact' }),
+  });
+
+  if (response.status === 401) {
+    expireSession();
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  // Get count from content-range header
+  const contentRange = response.headers.get('content-range');
+  return contentRange ? parseInt(contentRange.split('/')[1]) : 0;
+}
+
+
+// AUTHENTICATION
+/**
+ * Sign in a recruiter by checking their JWT token against the API
+ * and storing it for the rest of the browser session
+ * @param {string} username - UQ student username, used for row-level security
+ * @param {string} token - JWT token issued for the username
+ * @returns {Promise<{token: string, username: string}>} - The new session
+ * @throws Will throw an error if the token is expired or rejected by the API
+ */
+async function login(username, token) {
+  if (isTokenExpired(token)) {
+    throw new Error('This token has expired. Please request a new one.');
+  }
+
+  const response = await backend.fetch(`${backend.baseUrl}/interview?limit=1`, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+  });
+
+  if (response.status === 401) {
+    throw new Error('Invalid token. Please check your credentials.');
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  sessionStorage.setItem(SESSION_TOKEN_KEY, token);
+  sessionStorage.setItem(SESSION_USERNAME_KEY, username);
+  return { token, username };
+}
+
+
+// PIPELINE HELPERS
+/**
+ * Get an interview's pipeline stages, falling back to the default pipeline
+ * @param {object} interview - Interview object
+ * @returns {Array<string>} - Stage names in order
+ */
+function getPipelineStages(interview) {
+  return interview?.pipeline_stages?.length > 0 ? interview.pipeline_stages : DEFAULT_PIPELINE_STAGES;
+}
+
+/**
+ * Get an applicant's pipeline stage, treating the legacy "Not Started" status as Invited
+ * @param {object} applicant - Applicant object
+ * @returns {string} - Stage name
+ */
+function getApplicantStage(applicant) {
+  return !applicant.interview_status || applicant.interview_status === 'Not Started' ? 'Invited' : applicant.interview_status;
+}
+
+/**
+ * Check whether an applicant has finished the interview, i.e. has moved past Invited and In Progress
+ * @param {object} applicant - Applicant object
+ * @returns {boolean} - True once the interview can no longer be taken
+ */
+function hasFinishedInterview(applicant) {
+  return !['Invited', 'In Progress'].includes(getApplicantStage(applicant));
+}
+
 
 // INTERVIEW ENDPOINTS
 /**
@@ -111,6 +294,89 @@ async function deleteInterview(id) {
 }
 
 
+/**
+ * Copy a question so it can be attached to another interview, dropping its identity and owner
+ * @param {object} question - Question object
+ * @returns {object} - Question fields without id, interview_id or username
+ */
+function copyQuestionFields(question) {
+  const { id: _id, interview_id: _interviewId, username: _username, ...fields } = question;
+  return fields;
+}
+
+/**
+ * Copy an interview's settings, dropping its identity, owner and publication status
+ * @param {object} interview - Interview object
+ * @returns {object} - Interview fields without id, username or status
+ */
+function copyInterviewFields(interview) {
+  const { id: _id, username: _username, status: _status, ...fields } = interview;
+  return fields;
+}
+
+/**
+ * Duplicate an interview with all of its questions (applicants are not copied).
+ * The copy starts as a Draft with "(Copy)" added to its title.
+ * @param {string} id - ID of the interview to duplicate
+ * @returns {Promise<object>} - The new interview object
+ */
+async function duplicateInterview(id) {
+  const [[original], questions] = await Promise.all([
+    getInterview(id),
+    getQuestionsByInterview(id),
+  ]);
+
+  const [copy] = await createInterview({
+    ...copyInterviewFields(original),
+    title: `${original.title} (Copy)`,
+    status: 'Draft',
+  });
+
+  if (questions.length > 0) {
+    await createQuestions(questions.map(question => ({ ...copyQuestionFields(question), interview_id: copy.id })));
+  }
+  return copy;
+}
+
+
+// INTERVIEW TEMPLATE ENDPOINTS
+/**
+ * Save an interview and its questions as a named template for seeding new interviews
+ * @param {string} interviewId - ID of the interview to save
+ * @param {string} name - Template name
+ * @returns {Promise<object>} - Created template object
+ */
+async function saveInterviewAsTemplate(interviewId, name) {
+  const [[interview], questions] = await Promise.all([
+    getInterview(interviewId),
+    getQuestionsByInterview(interviewId),
+  ]);
+
+  return apiRequest('/interview_template', 'POST', {
+    name,
+    interview: copyInterviewFields(interview),
+    questions: questions.map(copyQuestionFields),
+  });
+}
+
+/**
+ * Get all interview templates, ordered by name
+ * @returns {Promise<Array>} - Array of template objects ({ id, name, interview, questions })
+ */
+async function getInterviewTemplates() {
+  return apiRequest('/interview_template', 'GET', null, { order: 'name.asc' });
+}
+
+/**
+ * Delete an interview template
+ * @param {string} id - Template ID
+ * @returns {Promise<object>} - Success message
+ */
+async function deleteInterviewTemplate(id) {
+  return apiRequest('/interview_template', 'DELETE', null, { id: `eq.${id}` });
+}
+
+
 // QUESTION ENDPOINTS
 /**
  * Create a new question
@@ -121,6 +387,15 @@ async function createQuestion(question) {
   return apiRequest('/question', 'POST', question);
 }
 
+/**
+ * Create several questions in one request
+ * @param {Array<object>} questions - Question data for each new question
+ * @returns {Promise<Array>} - Created question objects
+ */
+async function createQuestions(questions) {
+  return apiRequest('/question', 'POST', questions);
+}
+
 /**
  * Get a specific question by ID
  * @param {string} questionId - Question ID
@@ -131,12 +406,16 @@ async function getQuestion(questionId) {
 }
 
 /**
- * Get questions for a specific interview
+ * Get questions for a specific interview in the order set by the recruiter
+ * (questions without a position come last, oldest first)
  * @param {string} interviewId - Interview ID
  * @returns {Promise<Array>} - Array of question objects
  */
 async function getQuestionsByInterview(interviewId) {
-  return apiRequest('/question', 'GET', null, { interview_id: `eq.${interviewId}` });
+  return apiRequest('/question', 'GET', null, {
+    interview_id: `eq.${interviewId}`,
+    order: 'position.asc.nullslast,id.asc',
+  });
 }
 
 /**
@@ -146,7 +425,18 @@ async function getQuestionsByInterview(interviewId) {
  * @returns {Promise<object>} - Updated question object
  */
 async function updateQuestion(id, updates) {
-  return apiRequest('/question', 'POST', updates, { id: `eq.${id}` });
+  return apiRequest('/question', 'PATCH', updates, { id: `eq.${id}` });
+}
+
+/**
+ * Persist the order of an interview's questions
+ * @param {Array<string>} questionIds - Question IDs in their new order
+ * @returns {Promise<Array>} - Updated question objects
+ */
+async function reorderQuestions(questionIds) {
+  return Promise.all(
+    questionIds.map((id, index) => updateQuestion(id, { position: index + 1 }))
+  );
 }
 
 /**
@@ -165,24 +455,7 @@ async function deleteQuestion(id) {
  */
 async function getQuestionCount(interviewId) {
   try {
-    const response = await fetch(`${API_BASE_URL}/question?interview_id=eq.${interviewId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${JWT_TOKEN}`,
-        'Prefer': 'count=exact'
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    // Get count from content-range header
-    const contentRange = response.headers.get('content-range');
-    const count = contentRange ? parseInt(contentRange.split('/')[1]) : 0;
-    
-    return count;
+    return await apiCount('/question', { interview_id: `eq.${interviewId}` });
   } catch (error) {
     console.error('Error fetching question count:', error);
     return 0;
@@ -190,6 +463,39 @@ async function getQuestionCount(interviewId) {
 }
 
 
+// QUESTION BANK ENDPOINTS
+/**
+ * Save a question to the reusable question bank
+ * @param {object} entry - Bank question data (question, difficulty, tags)
+ * @returns {Promise<object>} - Created bank question object
+ */
+async function createBankQuestion(entry) {
+  return apiRequest('/question_bank', 'POST', entry);
+}
+
+/**
+ * Get questions from the question bank, newest first
+ * @param {string} [search=''] - Text to search for within the question (case-insensitive)
+ * @returns {Promise<Array>} - Array of bank question objects
+ */
+async function getBankQuestions(search = '') {
+  const filters = { order: 'id.desc' };
+  if (search.trim()) {
+    filters.question = `ilike.*${search.trim()}*`;
+  }
+  return apiRequest('/question_bank', 'GET', null, filters);
+}
+
+/**
+ * Delete a question from the question bank
+ * @param {string} id - Bank question ID
+ * @returns {Promise<object>} - Success message
+ */
+async function deleteBankQuestion(id) {
+  return apiRequest('/question_bank', 'DELETE', null, { id: `eq.${id}` });
+}
+
+
 // APPLICANT ENDPOINTS
 /**
  * Create a new applicant
@@ -200,6 +506,15 @@ async function createApplicant(applicant) {
   return apiRequest('/applicant', 'POST', applicant);
 }
 
+/**
+ * Create several applicants in one request
+ * @param {Array<object>} applicants - Applicant data for each new applicant
+ * @returns {Promise<Array>} - Created applicant objects
+ */
+async function createApplicants(applicants) {
+  return apiRequest('/applicant', 'POST', applicants);
+}
+
 /**
  * Get a specific applicant by ID
  * @param {string} applicantId - Question ID
@@ -228,6 +543,50 @@ async function updateApplicant(id, updates) {
   return apiRequest('/applicant', 'PATCH', updates, { id: `eq.${id}` });
 }
 
+/**
+ * Archive or unarchive several applicants, hiding archived ones from the default applicants table
+ * @param {Array<string>} ids - Applicant IDs
+ * @param {boolean} archived - Whether the applicants should be archived
+ * @returns {Promise<Array>} - Updated applicant objects
+ */
+async function setApplicantsArchived(ids, archived) {
+  return apiRequest('/applicant', 'PATCH', { archived }, { id: `in.(${ids.join(',')})` });
+}
+
+/**
+ * Save the reviewer's overall rating and tags for an applicant
+ * @param {string} id - Applicant ID
+ * @param {Object} review - Review fields to update
+ * @param {number|null} [review.rating] - Overall rating from 1 to 5, null to clear
+ * @param {Array<string>} [review.tags] - Free-form tags, e.g. "strong communicator"
+ * @returns {Promise<Array>} - Array containing the updated applicant object
+ */
+async function updateApplicantReview(id, review) {
+  return apiRequest('/applicant', 'PATCH', review, { id: `eq.${id}` });
+}
+
+/**
+ * Permanently delete several applicants along with their answers and interview links
+ * @param {Array<string>} ids - Applicant IDs
+ * @returns {Promise<object>} - Success message
+ */
+async function deleteApplicants(ids) {
+  const filter = { applicant_id: `in.(${ids.join(',')})` };
+  await apiRequest('/applicant_answer', 'DELETE', null, filter);
+  await apiRequest('/interview_link', 'DELETE', null, filter);
+  await apiRequest('/applicant_status_history', 'DELETE', null, filter);
+  return apiRequest('/applicant', 'DELETE', null, { id: `in.(${ids.join(',')})` });
+}
+
+/**
+ * Permanently delete an applicant along with their answers and interview links
+ * @param {string} id - Applicant ID
+ * @returns {Promise<object>} - Success message
+ */
+async function deleteApplicant(id) {
+  return deleteApplicants([id]);
+}
+
 
 // APPLICANT ANSWER ENDPOINTS
 /**
@@ -239,6 +598,28 @@ async function getAnswersByApplicant(applicantId) {
   return apiRequest('/applicant_answer', 'GET', null, { applicant_id: `eq.${applicantId}` });
 }
 
+/**
+ * Get answers for several applicants at once
+ * @param {Array<string>} applicantIds - Applicant IDs
+ * @returns {Promise<Array>} - Array of answer objects
+ */
+async function getAnswersByApplicants(applicantIds) {
+  if (applicantIds.length === 0) return [];
+  return apiRequest('/applicant_answer', 'GET', null, { applicant_id: `in.(${applicantIds.join(',')})` });
+}
+
+/**
+ * Save the reviewer's rating and comment for a single answer
+ * @param {string} answerId - Answer ID
+ * @param {Object} review - Review fields to update
+ * @param {number|null} [review.review_rating] - Rating from 1 to 5, null to clear
+ * @param {string|null} [review.review_comment] - Reviewer comment
+ * @returns {Promise<Array>} - Array containing the updated answer object
+ */
+async function updateAnswerReview(answerId, review) {
+  return apiRequest('/applicant_answer', 'PATCH', review, { id: `eq.${answerId}` });
+}
+
 /**
  * Get applicant count for a specific interview
  * @param {string} interviewId - Interview ID
@@ -246,24 +627,7 @@ async function getAnswersByApplicant(applicantId) {
  */
 async function getApplicantCount(interviewId) {
   try {
-    const response = await fetch(`${API_BASE_URL}/applicant?interview_id=eq.${interviewId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${JWT_TOKEN}`,
-        'Prefer': 'count=exact'
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    // Get count from content-range header
-    const contentRange = response.headers.get('content-range');
-    const count = contentRange ? parseInt(contentRange.split('/')[1]) : 0;
-    
-    return count;
+    return await apiCount('/applicant', { interview_id: `eq.${interviewId}` });
   } catch (error) {
     console.error('Error fetching applicant count:', error);
     return 0;
@@ -271,46 +635,250 @@ async function getApplicantCount(interviewId) {
 }
 
 /**
- * Submit an applicant's answer
- * @param {Object} answerData - Answer data
- * @returns {Promise<Object>} - Response from API
+ * Reset an applicant so they can retake the interview, deleting their answers, moving them back
+ * to Invited with the interview and question clocks cleared, and making a used single-use link work again
+ * @param {string} applicantId - Applicant ID
+ * @param {string} [fromStatus=null] - Status before the reset, for the status history
+ * @returns {Promise<Object>} - Updated applicant object
  */
-async function submitApplicantAnswer(answerData) {
-  return apiRequest('/applicant_answer', 'POST', answerData);
+async function resetApplicantInterview(applicantId, fromStatus = null) {
+  await apiRequest('/applicant_answer', 'DELETE', null, { applicant_id: `eq.${applicantId}` });
+  await apiRequest('/interview_link', 'PATCH', { consumed_at: null }, {
+    applicant_id: `eq.${applicantId}`,
+    revoked: 'is.false',
+  });
+  const updated = await updateApplicant(applicantId, { interview_status: 'Invited', started_at: null, questions_opened_at: {} });
+  await recordStatusChange(applicantId, fromStatus, 'Invited');
+  return updated;
 }
 
 /**
- * Update applicant status
+ * Update applicant status (pipeline stage), recording the transition in the status history
  * @param {string} applicantId - Applicant ID
  * @param {string} status - New status
+ * @param {string} [fromStatus=null] - Status before the change
  * @returns {Promise<Object>} - Updated applicant object
  */
-async function updateApplicantStatus(applicantId, status) {
-  return apiRequest(`/applicant?id=eq.${applicantId}`, 'PATCH', {
+async function updateApplicantStatus(applicantId, status, fromStatus = null) {
+  const updated = await apiRequest(`/applicant?id=eq.${applicantId}`, 'PATCH', {
     interview_status: status
   });
+  await recordStatusChange(applicantId, fromStatus, status);
+  return updated;
 }
 
 
+// APPLICANT STATUS HISTORY ENDPOINTS
+/**
+ * Record when an applicant moved between pipeline stages
+ * @param {string} applicantId - Applicant ID
+ * @param {string|null} fromStatus - Previous status
+ * @param {string} toStatus - New status
+ * @returns {Promise<Array>} - Array containing the history entry
+ */
+async function recordStatusChange(applicantId, fromStatus, toStatus) {
+  return apiRequest('/applicant_status_history', 'POST', {
+    applicant_id: applicantId,
+    from_status: fromStatus,
+    to_status: toStatus,
+    changed_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Get the status history for several applicants, oldest first
+ * @param {Array<string>} applicantIds - Applicant IDs
+ * @returns {Promise<Array>} - Array of history entries ({ applicant_id, from_status, to_status, changed_at })
+ */
+async function getStatusHistory(applicantIds) {
+  if (applicantIds.length === 0) return [];
+  return apiRequest('/applicant_status_history', 'GET', null, {
+    applicant_id: `in.(${applicantIds.join(',')})`,
+    order: 'changed_at.asc',
+  });
+}
+
+
+// INTERVIEW LINK ENDPOINTS
+/**
+ * Generate an unguessable token for an interview link (32 random bytes, base64url encoded)
+ * @returns {string} - Link token
+ */
+function generateLinkToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Issue a new interview link for an applicant, revoking any link they already have
+ * @param {string} applicantId - Applicant ID
+ * @param {string} interviewId - Interview ID
+ * @param {object} options - Link options
+ * @param {number} options.expiresInDays - Days until the link expires
+ * @param {boolean} options.singleUse - Whether the link stops working once the interview is completed
+ * @returns {Promise<Array>} - Array containing the new link object
+ */
+async function createInterviewLink(applicantId, interviewId, { expiresInDays, singleUse }) {
+  await apiRequest('/interview_link', 'PATCH', { revoked: true }, {
+    applicant_id: `eq.${applicantId}`,
+    revoked: 'is.false',
+  });
+
+  return apiRequest('/interview_link', 'POST', {
+    token: generateLinkToken(),
+    applicant_id: applicantId,
+    interview_id: interviewId,
+    expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+    single_use: singleUse,
+    consumed_at: null,
+    revoked: false,
+  });
+}
+
+/**
+ * Get the active (not revoked) links for an interview's applicants
+ * @param {string} interviewId - Interview ID
+ * @returns {Promise<Array>} - Array of link objects
+ */
+async function getInterviewLinksByInterview(interviewId) {
+  return apiRequest('/interview_link', 'GET', null, {
+    interview_id: `eq.${interviewId}`,
+    revoked: 'is.false',
+  });
+}
+
+/**
+ * Revoke an interview link so it can no longer be used
+ * @param {string} id - Link ID
+ * @returns {Promise<Array>} - Array containing the updated link object
+ */
+async function revokeInterviewLink(id) {
+  return apiRequest('/interview_link', 'PATCH', { revoked: true }, { id: `eq.${id}` });
+}
+
+/**
+ * Helper function for the candidate's requests through their interview link. Candidates have no recruiter session,
+ * so these go to the server (the LLM API server, or the local backend standing in for it), which refuses revoked,
+ * expired and used single-use links and then calls the API with the credentials it holds for the recruiter who issued the link.
+ * @param {string} token - Link token from the candidate's URL
+ * @param {string} [action=''] - Route after the token, e.g. 'complete'
+ * @param {string} [method='GET'] - The HTTP method to use (GET, POST)
+ * @param {object} [body=null] - The request body to send
+ * @returns {Promise<object>} - The JSON response from the server
+ * @throws Will throw an error with the server's message and HTTP status (error.status) if the link is refused or the request fails
+ */
+async function linkRequest(token, action = '', method = 'GET', body = null) {
+  const url = `${backend.linkBaseUrl}/${encodeURIComponent(token)}${action ? `/${action}` : ''}`;
+  const response = await backend.fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    const error = new Error(data?.error || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Get everything the candidate needs to take the interview their link is for
+ * @param {string} token - Link token from the candidate's URL
+ * @returns {Promise<{interview: object, applicant: object, questions: Array, answers: Array}>} - Interview data
+ * @throws Will throw an error if the link is unknown, revoked, expired or already used
+ */
+async function getLinkInterview(token) {
+  return linkRequest(token);
+}
+
+/**
+ * Record when the candidate first opened a question, which its time limit counts from.
+ * The first question opened also starts the interview's time limit
+ * @param {string} token - Link token from the candidate's URL
+ * @param {number} questionId - Question ID
+ * @returns {Promise<{started_at: string, opened_at: string}>} - When the interview started and the question was first opened
+ */
+async function openLinkQuestion(token, questionId) {
+  return linkRequest(token, 'open', 'POST', { question_id: questionId });
+}
+
+/**
+ * Submit the candidate's answer, replacing any earlier answer to the same question.
+ * The first answer moves the applicant to In Progress. Answers are refused (409) once a time limit has run out
+ * @param {string} token - Link token from the candidate's URL
+ * @param {Object} answerData - Answer data (question_id, answer, time_taken)
+ * @returns {Promise<{answer: object, interview_status: string}>} - The saved answer and the applicant's status
+ */
+async function submitLinkAnswer(token, answerData) {
+  return linkRequest(token, 'answers', 'POST', answerData);
+}
+
+/**
+ * Mark the candidate's interview completed, using up a single-use link
+ * @param {string} token - Link token from the candidate's URL
+ * @returns {Promise<{interview_status: string}>} - The applicant's new status
+ */
+async function completeLinkInterview(token) {
+  return linkRequest(token, 'complete', 'POST');
+}
+
 // Export functions to use in other components
 export {
+  AUTH_EXPIRED_EVENT,
+  DEFAULT_PIPELINE_STAGES,
+  REQUIRED_PIPELINE_STAGES,
+  MAX_COMPARED_APPLICANTS,
+  getPipelineStages,
+  getApplicantStage,
+  hasFinishedInterview,
+  login,
+  logout,
+  getSession,
+  isAuthenticated,
   createInterview,
   getInterviews,
   getInterview,
   updateInterview,
   deleteInterview,
+  duplicateInterview,
+  saveInterviewAsTemplate,
+  getInterviewTemplates,
+  deleteInterviewTemplate,
   createQuestion,
+  createQuestions,
   getQuestion,
   getQuestionsByInterview,
   updateQuestion,
+  reorderQuestions,
   deleteQuestion,
   getQuestionCount,
+  createBankQuestion,
+  getBankQuestions,
+  deleteBankQuestion,
   createApplicant,
+  createApplicants,
   getApplicant,
   getApplicantsByInterview,
   updateApplicant,
+  setApplicantsArchived,
+  updateApplicantReview,
+  deleteApplicants,
+  deleteApplicant,
   getAnswersByApplicant,
+  getAnswersByApplicants,
+  updateAnswerReview,
   getApplicantCount,
-  submitApplicantAnswer,
+  resetApplicantInterview,
   updateApplicantStatus,
+  getStatusHistory,
+  createInterviewLink,
+  getInterviewLinksByInterview,
+  revokeInterviewLink,
+  getLinkInterview,
+  openLinkQuestion,
+  submitLinkAnswer,
+  completeLinkInterview,
 };
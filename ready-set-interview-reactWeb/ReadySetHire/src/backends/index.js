@@ -0,0 +1,24 @@
+import restBackend from './restBackend.js';
+import localBackend from './localBackend.js';
+
+// Available data backends, selected with VITE_DATA_BACKEND in the Vite .env file
+const backends = {
+  [restBackend.name]: restBackend,
+  [localBackend.name]: localBackend,
+};
+
+/**
+ * Get the data backend the app was configured with, defaulting to the hosted REST API
+ * @returns {{name: string, baseUrl: string, linkBaseUrl: string, fetch: function(string, object): Promise<Response>}} - Active backend
+ * @throws Will throw an error if VITE_DATA_BACKEND names an unknown backend
+ */
+function getBackend() {
+  const name = import.meta.env.VITE_DATA_BACKEND || restBackend.name;
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unsupported data backend: ${name}`);
+  }
+  return backend;
+}
+
+export default getBackend;
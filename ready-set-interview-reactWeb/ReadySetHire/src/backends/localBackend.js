@@ -0,0 +1,594 @@
+// Base URL used for requests handled by the local backend, never sent over the network
+const LOCAL_BASE_URL = 'local://readysethire/api';
+
+// IndexedDB database holding one record per table: { name, nextId, rows }
+const DB_NAME = 'readysethire-local';
+const DB_VERSION = 1;
+const TABLE_STORE = 'tables';
+
+// Query parameters that control the result rather than filter rows
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset', 'on_conflict'];
+
+// Candidate routes the LLM API server serves for interview links, stood in for here (see llm-api-server/interviewLinks.js)
+const INTERVIEW_LINK_PATH = '/api/interview-links/';
+
+// Statuses in which the interview can still be taken (null and "Not Started" are legacy Invited)
+const OPEN_STATUSES = [null, 'Not Started', 'Invited', 'In Progress'];
+
+// Answers arriving this soon after a time limit runs out are still saved, like the LLM API server
+const LATE_ANSWER_GRACE_SECONDS = 30;
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the IndexedDB database
+ * @returns {Promise<IDBDatabase>} - Open database connection
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(TABLE_STORE, { keyPath: 'name' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a read-modify-write operation on a single table inside one transaction
+ * @param {string} name - Table name
+ * @param {function(object): *} operation - Receives the table record, may mutate it, returns the result
+ * @returns {Promise<*>} - Value returned by the operation once the transaction commits
+ */
+async function withTable(name, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(TABLE_STORE, 'readwrite');
+    const store = transaction.objectStore(TABLE_STORE);
+    let result;
+
+    const request = store.get(name);
+    request.onsuccess = () => {
+      const table = request.result || { name, nextId: 1, rows: [] };
+      try {
+        result = operation(table);
+        store.put(table);
+      } catch (error) {
+        transaction.abort();
+        reject(error);
+      }
+    };
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Error carrying the HTTP status the local backend should respond with
+ */
+class LocalBackendError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Parse a PostgREST literal such as "null", "true" or "{a,b}"
+ * @param {string} value - Raw value from the query string
+ * @returns {*} - Parsed value
+ */
+function parseLiteral(value) {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+/**
+ * Compare two values, numerically when both look like numbers
+ * @returns {number} - Negative, zero or positive like Array#sort comparators
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  const numA = Number(a);
+  const numB = Number(b);
+  if (!Number.isNaN(numA) && !Number.isNaN(numB) && a !== '' && b !== '') {
+    return numA - numB;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Convert a PostgREST like/ilike pattern ("*term*") to a regular expression
+ * @param {string} pattern - Pattern using * as wildcard
+ * @param {boolean} caseInsensitive - Whether to ignore case
+ * @returns {RegExp} - Equivalent regular expression
+ */
+function likeToRegExp(pattern, caseInsensitive) {
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\%_]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, caseInsensitive ? 'i' : '');
+}
+
+/**
+ * Build a predicate from a single column filter such as "eq.5" or "in.(1,2)"
+ * @param {string} column - Column name
+ * @param {string} expression - Operator and value
+ * @returns {function(object): boolean} - Row predicate
+ */
+function buildFilter(column, expression) {
+  const dot = expression.indexOf('.');
+  let operator = expression.slice(0, dot);
+  let value = expression.slice(dot + 1);
+  let negate = false;
+
+  if (operator === 'not') {
+    negate = true;
+    const nextDot = value.indexOf('.');
+    operator = value.slice(0, nextDot);
+    value = value.slice(nextDot + 1);
+  }
+
+  let test;
+  switch (operator) {
+    case 'eq':
+      test = (cell) => cell !== null && cell !== undefined && compareValues(cell, value) === 0;
+      break;
+    case 'neq':
+      test = (cell) => cell !== null && cell !== undefined && compareValues(cell, value) !== 0;
+      break;
+    case 'gt':
+      test = (cell) => cell !== null && cell !== undefined && compareValues(cell, value) > 0;
+      break;
+    case 'gte':
+      test = (cell) => cell !== null && cell !== undefined && compareValues(cell, value) >= 0;
+      break;
+    case 'lt':
+      test = (cell) => cell !== null && cell !== undefined && compareValues(cell, value) < 0;
+      break;
+    case 'lte':
+      test = (cell) => cell !== null && cell !== undefined && compareValues(cell, value) <= 0;
+      break;
+    case 'like':
+    case 'ilike': {
+      const regExp = likeToRegExp(value, operator === 'ilike');
+      test = (cell) => cell !== null && cell !== undefined && regExp.test(String(cell));
+      break;
+    }
+    case 'in': {
+      const options = value.replace(/^\(|\)$/g, '').split(',').map(option => option.replace(/^"|"$/g, ''));
+      test = (cell) => options.some(option => compareValues(cell, option) === 0);
+      break;
+    }
+    case 'is': {
+      const literal = parseLiteral(value);
+      test = (cell) => (literal === null ? cell === null || cell === undefined : cell === literal);
+      break;
+    }
+    case 'cs': {
+      const required = value.replace(/^\{|\}$/g, '').split(',').filter(Boolean);
+      test = (cell) => Array.isArray(cell) && required.every(item => cell.map(String).includes(item));
+      break;
+    }
+    default:
+      throw new LocalBackendError(400, `Unsupported filter operator: ${operator}`);
+  }
+
+  return negate ? (row) => !test(row[column]) : (row) => test(row[column]);
+}
+
+/**
+ * Split query parameters into row filters and result options
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {{filters: Array<function>, options: object}} - Row predicates and reserved options
+ */
+function parseQuery(searchParams) {
+  const filters = [];
+  const options = {};
+
+  for (const [key, value] of searchParams.entries()) {
+    if (RESERVED_PARAMS.includes(key)) {
+      options[key] = value;
+    } else {
+      filters.push(buildFilter(key, value));
+    }
+  }
+
+  return { filters, options };
+}
+
+/**
+ * Sort rows by a PostgREST order expression such as "position.asc,id.desc"
+ * @param {Array<object>} rows - Rows to sort (not mutated)
+ * @param {string} [order] - Order expression
+ * @returns {Array<object>} - Sorted copy of the rows
+ */
+function orderRows(rows, order) {
+  if (!order) return [...rows];
+
+  const terms = order.split(',').map(term => {
+    const [column, direction = 'asc'] = term.split('.');
+    return { column, descending: direction === 'desc' };
+  });
+
+  return [...rows].sort((a, b) => {
+    for (const { column, descending } of terms) {
+      const result = compareValues(a[column], b[column]);
+      if (result !== 0) return descending ? -result : result;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Create a JSON response mimicking PostgREST
+ * @param {number} status - HTTP status code
+ * @param {*} [body] - JSON body, omitted for 204 responses
+ * @param {object} [headers={}] - Extra response headers
+ * @returns {Response} - Fetch API response
+ */
+function jsonResponse(status, body, headers = {}) {
+  if (status === 204) {
+    return new Response(null, { status, headers });
+  }
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+/**
+ * Handle a GET request with filters, ordering, paging and optional exact count
+ */
+function handleSelect(table, filters, options, prefer) {
+  const matches = orderRows(table.rows.filter(row => filters.every(filter => filter(row))), options.order);
+  const offset = parseInt(options.offset) || 0;
+  const limit = options.limit !== undefined ? parseInt(options.limit) : matches.length;
+  const page = matches.slice(offset, offset + limit);
+
+  const headers = {};
+  if (prefer.includes('count=exact')) {
+    headers['content-range'] = page.length > 0
+      ? `${offset}-${offset + page.length - 1}/${matches.length}`
+      : `*/${matches.length}`;
+  }
+
+  return { status: 200, body: page, headers };
+}
+
+/**
+ * Handle a POST request, inserting one row or an array of rows,
+ * merging into existing rows when an upsert is requested
+ */
+function handleInsert(table, body, options, prefer) {
+  const records = Array.isArray(body) ? body : [body];
+  const conflictColumns = options.on_conflict ? options.on_conflict.split(',') : ['id'];
+  const mergeDuplicates = prefer.includes('resolution=merge-duplicates');
+  const saved = [];
+
+  for (const record of records) {
+    const existing = table.rows.find(row =>
+      conflictColumns.every(column => record[column] !== undefined && compareValues(row[column], record[column]) === 0)
+    );
+
+    if (existing && !mergeDuplicates) {
+      throw new LocalBackendError(409, `Duplicate key value violates unique constraint on (${conflictColumns.join(', ')})`);
+    }
+
+    if (existing) {
+      Object.assign(existing, record, { id: existing.id });
+      saved.push(existing);
+    } else {
+      const row = { ...record, id: record.id ?? table.nextId };
+      table.nextId = Math.max(table.nextId, Number(row.id) || 0) + 1;
+      table.rows.push(row);
+      saved.push(row);
+    }
+  }
+
+  return { status: 201, body: saved };
+}
+
+/**
+ * Handle a PATCH request, merging the body into every matching row
+ */
+function handleUpdate(table, body, filters) {
+  const updated = table.rows.filter(row => filters.every(filter => filter(row)));
+  updated.forEach(row => Object.assign(row, body, { id: row.id }));
+  return { status: 200, body: updated };
+}
+
+/**
+ * Handle a DELETE request, removing every matching row
+ */
+function handleDelete(table, filters) {
+  const removed = table.rows.filter(row => filters.every(filter => filter(row)));
+  table.rows = table.rows.filter(row => !removed.includes(row));
+  return { status: 200, body: removed };
+}
+
+/**
+ * Make a PostgREST-style request against the local tables, as the LLM API server does against the REST API
+ * @param {string} endpoint - Table endpoint, e.g. "/applicant"
+ * @param {string} [method='GET'] - HTTP method
+ * @param {object|null} [body=null] - Request body for POST or PATCH
+ * @param {object} [queryParams={}] - Filters and options. A POST with on_conflict updates the row it conflicts with
+ * @returns {Promise<Array>} - Matching or saved rows
+ * @throws {LocalBackendError} - When the request fails
+ */
+async function localRequest(endpoint, method = 'GET', body = null, queryParams = {}) {
+  const response = await localFetch(`${LOCAL_BASE_URL}${endpoint}?${new URLSearchParams(queryParams)}`, {
+    method,
+    headers: { 'Prefer': queryParams.on_conflict ? 'return=representation,resolution=merge-duplicates' : 'return=representation' },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new LocalBackendError(response.status, data.message);
+  }
+  return data;
+}
+
+/**
+ * Find the link for a token and check it can still be used
+ * @param {string} token - Link token from the candidate's URL
+ * @returns {Promise<{link: object, applicant: object}>} - The link and its applicant
+ * @throws {LocalBackendError} - 404 for unknown or revoked links, 410 for expired or used single-use links
+ */
+async function resolveLink(token) {
+  const [link] = await localRequest('/interview_link', 'GET', null, { token: `eq.${token}` });
+  if (!link || link.revoked) {
+    throw new LocalBackendError(404, 'This interview link is not valid. Please contact the recruiter for a new link.');
+  }
+  if (new Date(link.expires_at) < new Date()) {
+    throw new LocalBackendError(410, 'This interview link has expired. Please contact the recruiter for a new link.');
+  }
+  if (link.single_use && link.consumed_at) {
+    throw new LocalBackendError(410, 'This interview link could only be used once. Please contact the recruiter for a new link.');
+  }
+
+  const [applicant] = await localRequest('/applicant', 'GET', null, { id: `eq.${link.applicant_id}` });
+  if (!applicant) {
+    throw new LocalBackendError(404, 'This interview link is not valid. Please contact the recruiter for a new link.');
+  }
+  return { link, applicant };
+}
+
+/**
+ * Check the applicant can still submit to the interview
+ * @param {object} applicant - Applicant the link is for
+ * @throws {LocalBackendError} - 409 once the interview has been completed
+ */
+function assertOpen(applicant) {
+  if (!OPEN_STATUSES.includes(applicant.interview_status)) {
+    throw new LocalBackendError(409, 'This interview has already been completed. Please contact the recruiter if you need to retake it.');
+  }
+}
+
+/**
+ * Get a question of the link's interview
+ * @param {object} link - Interview link
+ * @param {*} questionId - Question ID from the candidate's request
+ * @returns {Promise<object>} - The question
+ * @throws {LocalBackendError} - 400 without a question ID, 404 when the question is not part of the interview
+ */
+async function getLinkQuestion(link, questionId) {
+  if (!Number.isInteger(questionId)) {
+    throw new LocalBackendError(400, 'Question is required');
+  }
+  const [question] = await localRequest('/question', 'GET', null, { id: `eq.${questionId}`, interview_id: `eq.${link.interview_id}` });
+  if (!question) {
+    throw new LocalBackendError(404, 'This question is not part of your interview.');
+  }
+  return question;
+}
+
+/**
+ * Check an answer arrives before the interview's and the question's time limits run out, like the LLM API server
+ * @param {object} interview - Interview with its time limit and preparation time
+ * @param {object} question - Question with its time limit
+ * @param {object} applicant - Applicant with when they started and opened each question
+ * @throws {LocalBackendError} - 409 once either time limit has run out
+ */
+function assertInTime(interview, question, applicant) {
+  const latest = Date.now() - LATE_ANSWER_GRACE_SECONDS * 1000;
+  if (interview.time_limit_minutes && applicant.started_at
+    && Date.parse(applicant.started_at) + interview.time_limit_minutes * 60 * 1000 < latest) {
+    throw new LocalBackendError(409, 'The time limit for this interview has run out, so no more answers can be saved.');
+  }
+
+  if (question.time_limit_seconds) {
+    const openedAt = applicant.questions_opened_at?.[question.id];
+    if (!openedAt) {
+      throw new LocalBackendError(409, 'This question has a time limit, so it must be opened before it is answered.');
+    }
+    const answerSeconds = (interview.preparation_seconds || 0) + question.time_limit_seconds;
+    if (Date.parse(openedAt) + answerSeconds * 1000 < latest) {
+      throw new LocalBackendError(409, 'The time limit for this question has run out, so the answer could not be saved.');
+    }
+  }
+}
+
+/**
+ * Move an applicant to a new status, recording the change in their status history
+ * @param {object} applicant - Applicant before the change
+ * @param {string} status - New status
+ */
+async function changeStatus(applicant, status) {
+  await localRequest('/applicant', 'PATCH', { interview_status: status }, { id: `eq.${applicant.id}` });
+  await localRequest('/applicant_status_history', 'POST', {
+    applicant_id: applicant.id,
+    from_status: applicant.interview_status,
+    to_status: status,
+    changed_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Serve the candidate interview link routes, checking the link on every request like the LLM API server
+ * @param {string} path - Path after the route prefix: "<token>" or "<token>/<action>"
+ * @param {string} method - HTTP method
+ * @param {object|null} body - Parsed request body
+ * @returns {Promise<Response>} - JSON response, with { error } when the request is refused
+ */
+async function handleInterviewLinkRequest(path, method, body) {
+  const [token, action = ''] = path.split('/').map(decodeURIComponent);
+
+  try {
+    const { link, applicant } = await resolveLink(token);
+
+    // Everything the candidate pages need to run the interview
+    if (method === 'GET' && !action) {
+      const [[interview], questions, answers] = await Promise.all([
+        localRequest('/interview', 'GET', null, { id: `eq.${link.interview_id}` }),
+        localRequest('/question', 'GET', null, { interview_id: `eq.${link.interview_id}`, order: 'position.asc.nullslast,id.asc' }),
+        localRequest('/applicant_answer', 'GET', null, { applicant_id: `eq.${applicant.id}` }),
+      ]);
+      return jsonResponse(200, { interview, applicant, questions, answers });
+    }
+
+    // Record when the applicant first opened a question, which its time limit counts from. The first question
+    // opened also starts the interview's time limit
+    if (method === 'POST' && action === 'open') {
+      assertOpen(applicant);
+      const question = await getLinkQuestion(link, body?.question_id);
+
+      const now = new Date().toISOString();
+      const started_at = applicant.started_at || now;
+      const opened_at = applicant.questions_opened_at?.[question.id] || now;
+      if (started_at !== applicant.started_at || opened_at !== applicant.questions_opened_at?.[question.id]) {
+        await localRequest('/applicant', 'PATCH', {
+          started_at,
+          questions_opened_at: { ...applicant.questions_opened_at, [question.id]: opened_at },
+        }, { id: `eq.${applicant.id}` });
+      }
+      return jsonResponse(200, { started_at, opened_at });
+    }
+
+    // Save an answer, replacing any earlier answer to the same question, unless its time limit has run out.
+    // The first answer moves the applicant to In Progress and starts the interview's time limit if no question was opened
+    if (method === 'POST' && action === 'answers') {
+      const questionId = Number(body?.question_id);
+      if (!Number.isInteger(questionId) || typeof body.answer !== 'string') {
+        throw new LocalBackendError(400, 'Question and answer are required');
+      }
+      assertOpen(applicant);
+
+      const question = await getLinkQuestion(link, questionId);
+      const [interview] = await localRequest('/interview', 'GET', null, { id: `eq.${link.interview_id}` });
+      assertInTime(interview, question, applicant);
+
+      const answerData = {
+        interview_id: link.interview_id,
+        question_id: questionId,
+        applicant_id: applicant.id,
+        answer: body.answer,
+        time_taken: body.time_taken ?? null,
+      };
+      const [saved] = await localRequest('/applicant_answer', 'POST', answerData, { on_conflict: 'applicant_id,question_id' });
+
+      if (!applicant.started_at) {
+        await localRequest('/applicant', 'PATCH', { started_at: new Date().toISOString() }, { id: `eq.${applicant.id}` });
+      }
+      if (applicant.interview_status !== 'In Progress') {
+        await changeStatus(applicant, 'In Progress');
+      }
+      return jsonResponse(200, { answer: saved, interview_status: 'In Progress' });
+    }
+
+    // Mark the interview completed, using up a single-use link
+    if (method === 'POST' && action === 'complete') {
+      const status = OPEN_STATUSES.includes(applicant.interview_status) ? 'Completed' : applicant.interview_status;
+      if (status !== applicant.interview_status) {
+        await changeStatus(applicant, status);
+      }
+      if (link.single_use) {
+        await localRequest('/interview_link', 'PATCH', { consumed_at: new Date().toISOString() }, { id: `eq.${link.id}` });
+      }
+      return jsonResponse(200, { interview_status: status });
+    }
+
+    throw new LocalBackendError(404, `Unknown interview link route: ${method} ${action}`);
+  } catch (error) {
+    return jsonResponse(error.status || 500, { error: error.message });
+  }
+}
+
+/**
+ * Fetch-compatible handler that serves PostgREST-style requests from IndexedDB.
+ * Supports the column filters used by the app (eq, neq, gt, gte, lt, lte, like,
+ * ilike, in, is, cs and not.*), order, limit, offset, on_conflict upserts,
+ * 'Prefer: return=representation' and 'Prefer: count=exact' content-range counts.
+ * Requests to the candidate interview link routes are answered as the LLM API server would.
+ *
+ * @param {string} url - Request URL starting with the local base URL
+ * @param {object} [options={}] - Fetch options (method, headers, body)
+ * @returns {Promise<Response>} - Response shaped like the PostgREST server's
+ */
+async function localFetch(url, options = {}) {
+  const { pathname, searchParams } = new URL(url);
+  if (pathname.startsWith(INTERVIEW_LINK_PATH)) {
+    return handleInterviewLinkRequest(
+      pathname.slice(INTERVIEW_LINK_PATH.length),
+      (options.method || 'GET').toUpperCase(),
+      options.body ? JSON.parse(options.body) : null
+    );
+  }
+
+  const tableName = pathname.replace(/^\/api\//, '').replace(/^\//, '');
+  const method = (options.method || 'GET').toUpperCase();
+  const prefer = options.headers?.['Prefer'] || options.headers?.['prefer'] || '';
+  const returnRepresentation = prefer.includes('return=representation');
+
+  try {
+    const { filters, options: queryOptions } = parseQuery(searchParams);
+    const body = options.body ? JSON.parse(options.body) : null;
+
+    const result = await withTable(tableName, (table) => {
+      switch (method) {
+        case 'GET':
+          return handleSelect(table, filters, queryOptions, prefer);
+        case 'POST':
+          return handleInsert(table, body, queryOptions, prefer);
+        case 'PATCH':
+          return handleUpdate(table, body, filters);
+        case 'DELETE':
+          return handleDelete(table, filters);
+        default:
+          throw new LocalBackendError(405, `Unsupported method: ${method}`);
+      }
+    });
+
+    if (method !== 'GET' && !returnRepresentation) {
+      return jsonResponse(method === 'POST' ? 201 : 204);
+    }
+
+    return jsonResponse(result.status, result.body, result.headers);
+  } catch (error) {
+    return jsonResponse(error.status || 500, { message: error.message });
+  }
+}
+
+/**
+ * Data backend that keeps every table in the browser's IndexedDB,
+ * for offline development, demos and end-to-end tests
+ * @type {{name: string, baseUrl: string, linkBaseUrl: string, fetch: function(string, object): Promise<Response>}}
+ */
+const localBackend = {
+  name: 'local',
+  baseUrl: LOCAL_BASE_URL,
+  linkBaseUrl: `${LOCAL_BASE_URL}/interview-links`,
+  fetch: localFetch,
+};
+
+export default localBackend;
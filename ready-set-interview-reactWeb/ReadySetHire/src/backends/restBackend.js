@@ -0,0 +1,20 @@
+// Base URL for the Interview App RESTful API (PostgREST)
+const API_BASE_URL = 'https://comp2140a2.uqcloud.net/api';
+
+// Base URL for the LLM API server, which also serves the candidate interview link routes
+const LLM_API_BASE_URL = import.meta.env.VITE_LLM_API_BASE_URL || 'http://localhost:3001/api';
+
+/**
+ * Data backend that talks to the hosted PostgREST server over the network.
+ * Candidates have no session, so their requests go through the LLM API server, which calls the
+ * REST API with the credentials it holds for the recruiter who owns the applicant.
+ * @type {{name: string, baseUrl: string, linkBaseUrl: string, fetch: function(string, object): Promise<Response>}}
+ */
+const restBackend = {
+  name: 'rest',
+  baseUrl: import.meta.env.VITE_API_BASE_URL || API_BASE_URL,
+  linkBaseUrl: `${LLM_API_BASE_URL}/interview-links`,
+  fetch: (url, options) => window.fetch(url, options),
+};
+
+export default restBackend;
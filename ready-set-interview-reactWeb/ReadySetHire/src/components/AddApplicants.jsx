@@ -17,7 +17,7 @@ import { createApplicant, updateApplicant, getApplicant } from '../app.js';
  * @state {string} applicantSurname - Applicant's surname
  * @state {string} applicantPhone - Applicant's phone number 
  * @state {string} applicantEmail - Applicant's email address
- * @state {string} applicantStatus - Interview status (Not Started, Completed)
+ * @state {string} applicantStatus - Pipeline stage of the applicant (new applicants start as Invited)
  * @state {boolean} isSubmitting - Flag indicating if form is currently submitting
  * @state {boolean} isEditing - Flag indicating if component is in edit mode
  * 
@@ -38,7 +38,7 @@ function AddApplicants() {
   const [applicantSurname, setApplicantSurname] = useState('');
   const [applicantPhone, setApplicantPhone] = useState('');
   const [applicantEmail, setApplicantEmail] = useState('');
-  const [applicantStatus, setApplicantStatus] = useState('Not Started');
+  const [applicantStatus, setApplicantStatus] = useState('Invited');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
 
@@ -56,7 +56,7 @@ function AddApplicants() {
         setApplicantSurname(applicantData.surname || '');
         setApplicantPhone(applicantData.phone_number || '');
         setApplicantEmail(applicantData.email_address || '');
-        setApplicantStatus(applicantData.interview_status || 'Not Started'); 
+        setApplicantStatus(applicantData.interview_status || 'Invited'); 
       } catch (error) {
         alert('Failed to load applicant data. Please try again.');
       }
@@ -1,10 +1,12 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { createQuestion, getQuestion, updateQuestion } from '../app.js'; 
+import { createQuestion, getQuestion, updateQuestion, getInterview } from '../app.js'; 
+import { generateRubric } from '../llm.js';
 
 /**
  * Add or edit a question for a specific interview
- * This component provides a form to create a new question or edit an existing one
+ * This component provides a form to create a new question or edit an existing one,
+ * including an optional scoring rubric that reviewers use when rating answers
  * 
  * @component
  * @param {object} location - React Router location object containing state
@@ -14,6 +16,9 @@ import { createQuestion, getQuestion, updateQuestion } from '../app.js';
  * 
  * @state {string} questionText - The text content of the question
  * @state {string} difficulty - Difficulty level of the question (Easy, Intermediate, Advanced)
+ * @state {string} timeLimit - Optional answer time limit in seconds (empty for no limit)
+ * @state {Array} rubric - Rubric criteria ({ name, weight, strong, weak }), weight kept as a string while editing
+ * @state {boolean} draftingRubric - Flag indicating if the LLM is drafting a rubric
  * @state {boolean} isSubmitting - Flag indicating if form is currently submitting
  * @state {boolean} isEditing - Flag indicating if component is in edit mode
  * 
@@ -31,6 +36,9 @@ function AddQuestions() {
   // State for form inputs
   const [questionText, setQuestionText] = useState('');
   const [difficulty, setDifficulty] = useState('');
+  const [timeLimit, setTimeLimit] = useState('');
+  const [rubric, setRubric] = useState([]);
+  const [draftingRubric, setDraftingRubric] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
 
@@ -41,10 +49,12 @@ function AddQuestions() {
       
       try {
         setIsEditing(true);
-        // FIX: Use the getQuestion function to fetch a specific question
-        const questionData = await getQuestion(questionId);
+        // getQuestion filters by ID, so the question is the first row returned
+        const [questionData] = await getQuestion(questionId);
         setQuestionText(questionData.question);
         setDifficulty(questionData.difficulty);
+        setTimeLimit(questionData.time_limit_seconds ? String(questionData.time_limit_seconds) : '');
+        setRubric((questionData.rubric || []).map(criterion => ({ ...criterion, weight: String(criterion.weight) })));
       } catch (error) {
         console.error('Error fetching question:', error);
         alert('Failed to load question data. Please try again.');
@@ -64,10 +74,64 @@ function AddQuestions() {
     setDifficulty(event.target.value);
   };
 
+  // Handle answer time limit change
+  const handleTimeLimitChange = (event) => {
+    setTimeLimit(event.target.value);
+  };
+
+  // Add an empty rubric criterion
+  const handleAddCriterion = () => {
+    setRubric([...rubric, { name: '', weight: '1', strong: '', weak: '' }]);
+  };
+
+  // Update one field of a rubric criterion
+  const handleCriterionChange = (index, field, value) => {
+    setRubric(rubric.map((criterion, i) => i === index ? { ...criterion, [field]: value } : criterion));
+  };
+
+  const handleRemoveCriterion = (index) => {
+    setRubric(rubric.filter((_, i) => i !== index));
+  };
+
+  // Ask the LLM to draft a rubric for the question, replacing the current one
+  const handleDraftRubric = async () => {
+    if (!questionText.trim() || !difficulty) {
+      alert('Please enter the question text and difficulty before drafting a rubric.');
+      return;
+    }
+    if (rubric.length > 0 && !window.confirm('Are you sure you want to replace the current rubric with a drafted one?')) {
+      return;
+    }
+
+    setDraftingRubric(true);
+    try {
+      const [interview] = await getInterview(interviewId);
+      const { criteria } = await generateRubric({
+        job_role: interview.job_role,
+        description: interview.description || undefined,
+        question: questionText,
+        difficulty,
+      });
+      setRubric(criteria.map(criterion => ({ ...criterion, weight: String(criterion.weight) })));
+    } catch (error) {
+      console.error('Error drafting rubric:', error);
+      alert(error.message || 'Failed to draft rubric. Please try again.');
+    } finally {
+      setDraftingRubric(false);
+    }
+  };
+
   // Add new question or update question upon form submission
   const handleSubmit = async (event) => {
     event.preventDefault();
 
+    // Every criterion needs a unique name, since answer scores are saved against it
+    const criteriaNames = rubric.map(criterion => criterion.name.trim());
+    if (criteriaNames.some(name => !name) || new Set(criteriaNames).size !== criteriaNames.length) {
+      alert('Please give every rubric criterion a unique name.');
+      return;
+    }
+
     if (questionText && difficulty && interviewId) {
       setIsSubmitting(true);
 
@@ -77,6 +141,15 @@ function AddQuestions() {
           interview_id: interviewId,
           question: questionText,
           difficulty: difficulty,
+          time_limit_seconds: timeLimit ? parseInt(timeLimit) : null,
+          rubric: rubric.length > 0
+            ? rubric.map(criterion => ({
+                name: criterion.name.trim(),
+                weight: Math.min(Math.max(parseInt(criterion.weight) || 1, 1), 5),
+                strong: criterion.strong.trim(),
+                weak: criterion.weak.trim(),
+              }))
+            : null,
         };
 
         if (isEditing) {
@@ -189,6 +262,121 @@ function AddQuestions() {
                 <option value="Advanced">Advanced</option>
               </select>
             </div>
+
+            <div>
+              <label className="block text-gray-700 font-medium mb-2" htmlFor="timeLimit">
+                Answer Time Limit (seconds)
+              </label>
+              <input
+                id="timeLimit"
+                type="number"
+                min="10"
+                step="1"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                value={timeLimit}
+                onChange={handleTimeLimitChange}
+                placeholder="No limit"
+                disabled={isSubmitting}
+              />
+              <p className="text-sm text-gray-500 mt-1">Recording stops and the interview moves on when time runs out.</p>
+            </div>
+
+            {/* Scoring rubric */}
+            <div>
+              <div className="flex flex-wrap justify-between items-center gap-3 mb-2">
+                <span className="block text-gray-700 font-medium">Scoring Rubric</span>
+                <div className="flex gap-4">
+                  <button
+                    type="button"
+                    onClick={handleDraftRubric}
+                    className="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400 font-medium"
+                    disabled={isSubmitting || draftingRubric}
+                  >
+                    {draftingRubric ? 'Drafting...' : 'Draft with AI'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleAddCriterion}
+                    className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+                    disabled={isSubmitting || draftingRubric}
+                  >
+                    Add Criterion
+                  </button>
+                </div>
+              </div>
+              {rubric.length === 0 ? (
+                <p className="text-sm text-gray-500">No rubric. Add criteria so reviewers can score answers consistently.</p>
+              ) : (
+                <div className="space-y-4">
+                  {rubric.map((criterion, index) => (
+                    <div key={index} className="border border-gray-200 rounded-lg p-4 space-y-3">
+                      <div className="flex flex-wrap items-end gap-3">
+                        <div className="flex-1 min-w-48">
+                          <label className="block text-sm text-gray-700 mb-1" htmlFor={`criterion-name-${index}`}>Criterion *</label>
+                          <input
+                            id={`criterion-name-${index}`}
+                            type="text"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            value={criterion.name}
+                            onChange={(event) => handleCriterionChange(index, 'name', event.target.value)}
+                            placeholder="Problem solving"
+                            disabled={isSubmitting}
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm text-gray-700 mb-1" htmlFor={`criterion-weight-${index}`}>Weight (1-5)</label>
+                          <input
+                            id={`criterion-weight-${index}`}
+                            type="number"
+                            min="1"
+                            max="5"
+                            step="1"
+                            className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            value={criterion.weight}
+                            onChange={(event) => handleCriterionChange(index, 'weight', event.target.value)}
+                            disabled={isSubmitting}
+                          />
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveCriterion(index)}
+                          className="text-sm text-red-600 hover:text-red-800 font-medium py-2"
+                          disabled={isSubmitting}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <div>
+                          <label className="block text-sm text-gray-700 mb-1" htmlFor={`criterion-strong-${index}`}>Strong answer</label>
+                          <textarea
+                            id={`criterion-strong-${index}`}
+                            rows="2"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                            value={criterion.strong}
+                            onChange={(event) => handleCriterionChange(index, 'strong', event.target.value)}
+                            placeholder="What a strong answer looks like"
+                            disabled={isSubmitting}
+                          ></textarea>
+                        </div>
+                        <div>
+                          <label className="block text-sm text-gray-700 mb-1" htmlFor={`criterion-weak-${index}`}>Weak answer</label>
+                          <textarea
+                            id={`criterion-weak-${index}`}
+                            rows="2"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                            value={criterion.weak}
+                            onChange={(event) => handleCriterionChange(index, 'weak', event.target.value)}
+                            placeholder="What a weak answer looks like"
+                            disabled={isSubmitting}
+                          ></textarea>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
           </div>
 
           <div className="flex justify-end space-x-4 mt-6">
@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { getApplicantStage } from '../app';
+import { formatAge } from '../format';
+
+/**
+ * Kanban-style board of applicants grouped by pipeline stage
+ * Recruiters drag an applicant card onto another column to move them to that stage.
+ * Applicants whose status is not one of the interview's stages get a column of their own
+ * so they are never hidden.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.applicants - Applicants to show
+ * @param {Array<string>} props.stages - Pipeline stages, in order
+ * @param {function(Object): string|null} props.getStageSince - Returns when an applicant entered their current stage
+ * @param {function(Object, string): void} props.onMove - Called with the applicant and the stage they were dropped on
+ * @param {function(string): void} props.onOpen - Called with an applicant ID when a card is clicked
+ *
+ * @state {string|null} draggingId - ID of the applicant card being dragged
+ * @state {string|null} dropStage - Stage column the card is currently over
+ *
+ * @returns {JSX.Element} - Applicant board
+ */
+function ApplicantBoard({ applicants, stages, getStageSince, onMove, onOpen }) {
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropStage, setDropStage] = useState(null);
+
+  const extraStages = [...new Set(applicants.map(getApplicantStage))].filter(stage => !stages.includes(stage));
+  const columns = [...stages, ...extraStages];
+
+  // Move the dragged applicant to the column it was dropped on
+  const handleDrop = (event, stage) => {
+    event.preventDefault();
+    const applicant = applicants.find(a => String(a.id) === event.dataTransfer.getData('text/plain'));
+    if (applicant && getApplicantStage(applicant) !== stage) {
+      onMove(applicant, stage);
+    }
+    setDraggingId(null);
+    setDropStage(null);
+  };
+
+  return (
+    <div className="flex gap-4 overflow-x-auto pb-4">
+      {columns.map(stage => {
+        const stageApplicants = applicants.filter(applicant => getApplicantStage(applicant) === stage);
+
+        return (
+          <div
+            key={stage}
+            onDragOver={(event) => {
+              event.preventDefault();
+              setDropStage(stage);
+            }}
+            onDragLeave={() => setDropStage(null)}
+            onDrop={(event) => handleDrop(event, stage)}
+            className={`flex-shrink-0 w-64 rounded-lg p-3 transition duration-200
+              ${dropStage === stage ? 'bg-blue-50 ring-2 ring-blue-300' : 'bg-gray-100'}`}
+          >
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="text-sm font-semibold text-gray-700 uppercase">{stage}</h3>
+              <span className="text-xs text-gray-500">{stageApplicants.length}</span>
+            </div>
+            <div className="flex flex-col gap-2 min-h-16">
+              {stageApplicants.map(applicant => {
+                const since = getStageSince(applicant);
+
+                return (
+                  <div
+                    key={applicant.id}
+                    draggable
+                    onDragStart={(event) => {
+                      event.dataTransfer.setData('text/plain', String(applicant.id));
+                      setDraggingId(applicant.id);
+                    }}
+                    onDragEnd={() => {
+                      setDraggingId(null);
+                      setDropStage(null);
+                    }}
+                    onClick={() => onOpen(applicant.id)}
+                    className={`bg-white rounded-lg shadow-sm p-3 cursor-grab hover:shadow-md
+                      ${draggingId === applicant.id ? 'opacity-50' : ''} ${applicant.archived ? 'opacity-60' : ''}`}
+                  >
+                    <p className="text-sm font-medium text-gray-900">{applicant.firstname} {applicant.surname}</p>
+                    <p className="text-xs text-gray-500 truncate">{applicant.email_address}</p>
+                    {since && (
+                      <p className="text-xs text-gray-400 mt-1">In stage for {formatAge(since)}</p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ApplicantBoard;
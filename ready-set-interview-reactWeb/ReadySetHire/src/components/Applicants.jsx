@@ -1,11 +1,19 @@
 import { useState, useEffect } from 'react';
-import { getApplicantsByInterview } from '../app'; 
+import { getApplicantsByInterview, resetApplicantInterview, getInterviewLinksByInterview, createInterviewLink, revokeInterviewLink, setApplicantsArchived, deleteApplicants, deleteApplicant, getInterview, getPipelineStages, getApplicantStage, updateApplicantStatus, getStatusHistory, getAnswersByApplicants, getQuestionsByInterview, MAX_COMPARED_APPLICANTS } from '../app'; 
 import { useLocation, useNavigate } from 'react-router-dom';
+import ImportApplicants from './ImportApplicants';
+import ApplicantBoard from './ApplicantBoard';
+import ExportButtons from './ExportButtons';
+import { weightedRubricScore } from '../rubric';
 
 /**
  * Display and manage applicants for a specific interview
  * This component shows a list of applicants, allows adding new applicants,
- * editing existing ones, viewing answers, and generating interview links
+ * editing existing ones, viewing answers, issuing and revoking secure interview links, resetting applicants for a retake,
+ * archiving or deleting applicants one at a time or in bulk, comparing selected applicants side by side,
+ * and moving applicants through the interview's hiring pipeline from the table or a kanban-style board.
+ * The table can be sorted by reviewer ratings, rubric scores, tags and stage to help shortlist applicants,
+ * and applicants can be exported as CSV or JSON with or without their answers
  * 
  * @component
  * @param {object} location - React Router location object containing state
@@ -13,9 +21,22 @@ import { useLocation, useNavigate } from 'react-router-dom';
  * @param {string} location.state.interviewTitle - Title of the associated interview
  * 
  * @state {Array} applicants - List of applicant objects
+ * @state {Object|null} interview - Interview the applicants belong to, for its pipeline stages
+ * @state {Array} statusHistory - Pipeline stage transitions for the applicants, oldest first
+ * @state {string} view - How applicants are listed (table, board)
+ * @state {Object} answerRatings - Average reviewer rating of each applicant's answers, keyed by applicant ID
+ * @state {Object} rubricScores - Weighted rubric score of each applicant's answers, keyed by applicant ID
+ * @state {Object} sort - Table sort column and direction ({ key, direction }), key is null for the default order
  * @state {boolean} loading - Flag indicating if data is currently loading
  * @state {string|null} error - Error message if data loading fails
  * @state {string|null} copiedLink - ID of applicant whose link was recently copied
+ * @state {Object} links - Active interview links keyed by applicant ID
+ * @state {string} linkExpiryDays - Days until newly issued links expire
+ * @state {boolean} linkSingleUse - Whether newly issued links stop working once the interview is completed
+ * @state {boolean} showImport - Controls visibility of the CSV import panel
+ * @state {boolean} showArchived - Whether archived applicants are listed
+ * @state {Array} selectedIds - IDs of applicants selected for bulk actions
+ * @state {boolean} exportAnswers - Whether exports have one row per applicant answer instead of one per applicant
  * 
  * @returns {JSX.Element} - Rendered component displaying applicants table and management interface
  */
@@ -27,9 +48,47 @@ function Applicants() {
   const interviewTitle = location.state?.interviewTitle;
 
   const [applicants, setApplicants] = useState([]);
+  const [interview, setInterview] = useState(null);
+  const [statusHistory, setStatusHistory] = useState([]);
+  const [view, setView] = useState('table');
+  const [answerRatings, setAnswerRatings] = useState({});
+  const [rubricScores, setRubricScores] = useState({});
+  const [sort, setSort] = useState({ key: null, direction: 'asc' });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [copiedLink, setCopiedLink] = useState(null); 
+  const [links, setLinks] = useState({});
+  const [linkExpiryDays, setLinkExpiryDays] = useState('14');
+  const [linkSingleUse, setLinkSingleUse] = useState(true);
+  const [showImport, setShowImport] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [exportAnswers, setExportAnswers] = useState(false);
+
+  const visibleApplicants = applicants.filter(applicant => showArchived || !applicant.archived);
+  const archivedCount = applicants.filter(applicant => applicant.archived).length;
+  const allVisibleSelected = visibleApplicants.length > 0 && visibleApplicants.every(a => selectedIds.includes(a.id));
+  const stages = getPipelineStages(interview);
+
+  // Value a sortable column orders an applicant by, null when there is nothing to sort on
+  const getSortValue = (applicant, key) => {
+    if (key === 'rating') return applicant.rating ?? null;
+    if (key === 'answer_rating') return answerRatings[applicant.id] ?? null;
+    if (key === 'rubric_score') return rubricScores[applicant.id] ?? null;
+    if (key === 'tags') return applicant.tags?.length > 0 ? applicant.tags.join(', ').toLowerCase() : null;
+    if (key === 'status') return stages.indexOf(getApplicantStage(applicant));
+    return null;
+  };
+
+  // Applicants in table order, those with nothing to sort on always last
+  const sortedApplicants = !sort.key ? visibleApplicants : [...visibleApplicants].sort((a, b) => {
+    const valueA = getSortValue(a, sort.key);
+    const valueB = getSortValue(b, sort.key);
+    if (valueA === valueB) return 0;
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    return (valueA < valueB ? -1 : 1) * (sort.direction === 'asc' ? 1 : -1);
+  });
 
   // Load applicant from API when component mounts
   useEffect(() => {
@@ -41,8 +100,36 @@ function Applicants() {
       }
 
       try {
-        const data = await getApplicantsByInterview(interviewId);
+        const [data, linkData, [interviewData]] = await Promise.all([
+          getApplicantsByInterview(interviewId),
+          getInterviewLinksByInterview(interviewId),
+          getInterview(interviewId)
+        ]);
         setApplicants(data);
+        setLinks(Object.fromEntries(linkData.map(link => [link.applicant_id, link])));
+        setInterview(interviewData);
+
+        const applicantIds = data.map(applicant => applicant.id);
+        const [history, answers, questions] = await Promise.all([
+          getStatusHistory(applicantIds),
+          getAnswersByApplicants(applicantIds),
+          getQuestionsByInterview(interviewId)
+        ]);
+        setStatusHistory(history);
+
+        // Average the reviewer's answer ratings for each applicant
+        const ratings = {};
+        answers.filter(answer => answer.review_rating != null).forEach(answer => {
+          ratings[answer.applicant_id] = [...(ratings[answer.applicant_id] || []), answer.review_rating];
+        });
+        setAnswerRatings(Object.fromEntries(Object.entries(ratings).map(([id, values]) =>
+          [id, values.reduce((sum, value) => sum + value, 0) / values.length]
+        )));
+
+        const questionMap = Object.fromEntries(questions.map(question => [question.id, question]));
+        setRubricScores(Object.fromEntries(applicantIds.map(id =>
+          [id, weightedRubricScore(answers.filter(answer => answer.applicant_id === id), questionMap)]
+        )));
       } catch (err) {
         console.error("Error fetching applicants:", err);
         setError("Failed to load applicants. Please try again.");
@@ -55,14 +142,16 @@ function Applicants() {
   }, [interviewId]);
 
 
-  // Function to generate unique interview link 
-  const generateInterviewLink = (applicantId) => {
-    return `${window.location.origin}/applicant/${applicantId}/interview/${interviewId}`;
+  // Describe why a link can no longer be used, or null if it still works
+  const getLinkProblem = (link) => {
+    if (new Date(link.expires_at) < new Date()) return 'Expired';
+    if (link.single_use && link.consumed_at) return 'Used';
+    return null;
   };
 
   // Enables copy link to clipboard
   const copyLinkToClipboard = (applicantId) => {
-    const link = generateInterviewLink(applicantId);
+    const link = `${window.location.origin}/interview/${links[applicantId].token}`;
     navigator.clipboard.writeText(link)
       .then(() => {
         setCopiedLink(applicantId);
@@ -70,6 +159,43 @@ function Applicants() {
       })
   };
 
+  // Issue a new secure link for an applicant, replacing any link they already have
+  const handleGenerateLink = async (applicantId) => {
+    const expiresInDays = parseInt(linkExpiryDays);
+    if (!expiresInDays || expiresInDays < 1) {
+      alert('Please enter how many days links should stay valid.');
+      return;
+    }
+
+    if (links[applicantId] && !window.confirm('Are you sure you want to regenerate this link? The current link will stop working.')) {
+      return;
+    }
+
+    try {
+      const [link] = await createInterviewLink(applicantId, interviewId, { expiresInDays, singleUse: linkSingleUse });
+      setLinks(prev => ({ ...prev, [applicantId]: link }));
+    } catch (err) {
+      console.error("Error generating interview link:", err);
+      alert('Failed to generate link. Please try again.');
+    }
+  };
+
+  // Revoke an applicant's link so it can no longer be used
+  const handleRevokeLink = async (applicantId) => {
+    if (window.confirm('Are you sure you want to revoke this link? The applicant will not be able to open the interview until a new link is generated.')) {
+      try {
+        await revokeInterviewLink(links[applicantId].id);
+        setLinks(prev => {
+          const { [applicantId]: _revoked, ...rest } = prev;
+          return rest;
+        });
+      } catch (err) {
+        console.error("Error revoking interview link:", err);
+        alert('Failed to revoke link. Please try again.');
+      }
+    }
+  };
+
   // Navigates back to /applicants but passes the relevant identifiers to load applicants
   const handleAddApplicants = () => {
     navigate('/AddApplicants', { 
@@ -80,6 +206,12 @@ function Applicants() {
     });
   };
 
+  // Add imported applicants to the table and close the import panel
+  const handleImported = (created) => {
+    setApplicants(prev => [...prev, ...created]);
+    setShowImport(false);
+  };
+
   // Navigates to view answers for a specific applicant
   const handleViewAnswers = (applicantId) => {
     const applicantToView = applicants.find(a => a.id === applicantId);
@@ -95,6 +227,61 @@ function Applicants() {
     }
   };
 
+  // Applicants with their stage and review, or with every answer flattened to one row per question, for export
+  const getApplicantRecords = async () => {
+    const records = applicants.map(applicant => ({
+      id: applicant.id,
+      title: applicant.title,
+      firstname: applicant.firstname,
+      surname: applicant.surname,
+      email_address: applicant.email_address,
+      phone_number: applicant.phone_number,
+      status: getApplicantStage(applicant),
+      status_since: getStageSince(applicant),
+      archived: Boolean(applicant.archived),
+      rating: applicant.rating ?? null,
+      answer_rating: answerRatings[applicant.id] ?? null,
+      rubric_score: rubricScores[applicant.id] ?? null,
+      tags: applicant.tags || [],
+    }));
+    if (!exportAnswers) return records;
+
+    const [answers, questions] = await Promise.all([
+      getAnswersByApplicants(applicants.map(applicant => applicant.id)),
+      getQuestionsByInterview(interviewId)
+    ]);
+    const questionMap = Object.fromEntries(questions.map(question => [question.id, question]));
+
+    // An interview without questions still exports one row per applicant, with the answer columns left blank
+    const rowQuestions = questions.length > 0 ? questions : [null];
+    return records.flatMap(record => rowQuestions.map((question, index) => {
+      const answer = question && answers.find(a => a.applicant_id === record.id && a.question_id === question.id);
+      return {
+        ...record,
+        question_number: question ? index + 1 : null,
+        question: question?.question ?? null,
+        difficulty: question?.difficulty ?? null,
+        answered: question ? Boolean(answer) : null,
+        answer: answer?.answer ?? null,
+        time_taken: answer?.time_taken ?? null,
+        answer_review_rating: answer?.review_rating ?? null,
+        answer_review_comment: answer?.review_comment ?? null,
+        answer_rubric_score: answer ? weightedRubricScore([answer], questionMap) : null,
+      };
+    }));
+  };
+
+  // Navigates to the side-by-side comparison of the selected applicants
+  const handleCompareSelected = () => {
+    navigate('/CompareApplicants', {
+      state: {
+        applicantIds: selectedIds,
+        interviewId: interviewId,
+        interviewTitle: interviewTitle,
+      }
+    });
+  };
+
   // Navigates to edit an existing applicant
   const handleEditApplicants = (applicantId) => {
     const applicantToEdit = applicants.find(a => a.id === applicantId);
@@ -110,6 +297,123 @@ function Applicants() {
     }
   };
 
+  // Sort the table by a column, or reverse the order if it is already sorted by that column
+  const handleSort = (key) => {
+    setSort(prev => prev.key === key
+      ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: ['rating', 'answer_rating', 'rubric_score'].includes(key) ? 'desc' : 'asc' });
+  };
+
+  // Column header that sorts the table when clicked
+  const renderSortableHeader = (key, label) => (
+    <th scope="col" className="px-6 py-3 text-left text-sm font-medium text-gray-500 uppercase" aria-sort={sort.key === key ? `${sort.direction}ending` : 'none'}>
+      <button onClick={() => handleSort(key)} className="flex items-center gap-1 uppercase hover:text-gray-700">
+        {label}
+        <span className="text-xs">{sort.key === key ? (sort.direction === 'asc' ? '▲' : '▼') : '↕'}</span>
+      </button>
+    </th>
+  );
+
+  // When an applicant entered their current stage, from the latest transition in the status history
+  const getStageSince = (applicant) => {
+    const entries = statusHistory.filter(entry => entry.applicant_id === applicant.id);
+    return entries.length > 0 ? entries[entries.length - 1].changed_at : null;
+  };
+
+  // Update an applicant's stage locally and add the transition to the status history
+  const applyStageChange = (applicant, stage) => {
+    setApplicants(prev => prev.map(a => a.id === applicant.id ? { ...a, interview_status: stage } : a));
+    setStatusHistory(prev => [...prev, {
+      applicant_id: applicant.id,
+      from_status: applicant.interview_status,
+      to_status: stage,
+      changed_at: new Date().toISOString(),
+    }]);
+  };
+
+  // Move an applicant to another pipeline stage
+  const handleMoveApplicant = async (applicant, stage) => {
+    try {
+      await updateApplicantStatus(applicant.id, stage, applicant.interview_status);
+      applyStageChange(applicant, stage);
+    } catch (err) {
+      console.error("Error updating applicant status:", err);
+      alert('Failed to update applicant status. Please try again.');
+    }
+  };
+
+  // Delete an applicant's answers and set them back to Invited so they can retake the interview with their current link
+  const handleResetApplicant = async (applicant) => {
+    if (window.confirm(`Are you sure you want to reset ${applicant.firstname} ${applicant.surname}'s interview? Their answers will be deleted so they can take it again.`)) {
+      try {
+        await resetApplicantInterview(applicant.id, applicant.interview_status);
+        applyStageChange(applicant, 'Invited');
+        setLinks(prev => prev[applicant.id] ? { ...prev, [applicant.id]: { ...prev[applicant.id], consumed_at: null } } : prev);
+      } catch (err) {
+        console.error("Error resetting applicant:", err);
+        alert('Failed to reset applicant. Please try again.');
+      }
+    }
+  };
+
+  // Toggle an applicant in the selection
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]);
+  };
+
+  // Select or clear every listed applicant
+  const toggleSelectAll = () => {
+    setSelectedIds(allVisibleSelected ? [] : visibleApplicants.map(a => a.id));
+  };
+
+  // Show or hide archived applicants, dropping any selected applicants that become hidden
+  const handleShowArchivedChange = (event) => {
+    setShowArchived(event.target.checked);
+    if (!event.target.checked) {
+      setSelectedIds(prev => prev.filter(id => !applicants.find(a => a.id === id)?.archived));
+    }
+  };
+
+  // Archive or unarchive applicants, hiding archived ones from the default table
+  const handleArchive = async (ids, archived) => {
+    try {
+      await setApplicantsArchived(ids, archived);
+      setApplicants(applicants.map(a => ids.includes(a.id) ? { ...a, archived } : a));
+      setSelectedIds(prev => prev.filter(id => !ids.includes(id)));
+    } catch (err) {
+      console.error("Error archiving applicants:", err);
+      alert(`Failed to ${archived ? 'archive' : 'unarchive'} applicants. Please try again.`);
+    }
+  };
+
+  // Permanently delete an applicant with their answers and links
+  const handleDeleteApplicant = async (applicant) => {
+    if (window.confirm(`Are you sure you want to delete ${applicant.firstname} ${applicant.surname}? Their answers will also be deleted. This action cannot be undone.`)) {
+      try {
+        await deleteApplicant(applicant.id);
+        setApplicants(applicants.filter(a => a.id !== applicant.id));
+        setSelectedIds(prev => prev.filter(id => id !== applicant.id));
+      } catch (err) {
+        console.error("Error deleting applicant:", err);
+        alert('Failed to delete applicant. Please try again.');
+      }
+    }
+  };
+
+  // Permanently delete every selected applicant with their answers and links
+  const handleDeleteSelected = async () => {
+    if (window.confirm(`Are you sure you want to delete ${selectedIds.length} applicants? Their answers will also be deleted. This action cannot be undone.`)) {
+      try {
+        await deleteApplicants(selectedIds);
+        setApplicants(applicants.filter(a => !selectedIds.includes(a.id)));
+        setSelectedIds([]);
+      } catch (err) {
+        console.error("Error deleting applicants:", err);
+        alert('Failed to delete applicants. Please try again.');
+      }
+    }
+  };
+
   // Navigates back to interviews list
   const handleBackToInterviews = () => {
     navigate('/interviews');
@@ -144,29 +448,156 @@ function Applicants() {
             <p className="text-gray-600 mt-2">
               {applicants.length === 0 
                 ? 'Applicants: 0' 
-                : `Total Applicants: ${applicants.length}`}
+                : `Total Applicants: ${applicants.length - archivedCount}`}
+              {archivedCount > 0 && ` (${archivedCount} archived)`}
             </p>
           )}
         </div>
 
-        {/* Add Applicant Button */}
-        <div className="mb-6 flex justify-end">
-          <button
-            onClick={handleAddApplicants}
-            className="flex items-center bg-primary hover:bg-headerblue text-white font-medium py-2 px-4 rounded-lg transition duration-200"
-          >
-            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-            </svg>
-            Add Applicants
-          </button>
+        {/* Link options and Add Applicant Button */}
+        <div className="mb-6 flex flex-wrap gap-4 justify-between items-center">
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+            <label className="flex items-center gap-2" htmlFor="linkExpiryDays">
+              New links expire after
+              <input
+                id="linkExpiryDays"
+                type="number"
+                min="1"
+                className="w-20 px-2 py-1 border border-gray-300 rounded-lg"
+                value={linkExpiryDays}
+                onChange={(event) => setLinkExpiryDays(event.target.value)}
+              />
+              days
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={linkSingleUse}
+                onChange={(event) => setLinkSingleUse(event.target.checked)}
+              />
+              Single use
+            </label>
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={exportAnswers}
+                onChange={(event) => setExportAnswers(event.target.checked)}
+              />
+              Export with answers
+            </label>
+            <ExportButtons
+              getRecords={getApplicantRecords}
+              fileName={`${interviewTitle || 'interview'} applicants${exportAnswers ? ' answers' : ''}`}
+              disabled={loading || applicants.length === 0}
+            />
+            <button
+              onClick={() => setShowImport(!showImport)}
+              className="flex items-center bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-2 px-4 rounded-lg transition duration-200"
+            >
+              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+              </svg>
+              Import CSV
+            </button>
+            <button
+              onClick={handleAddApplicants}
+              className="flex items-center bg-primary hover:bg-headerblue text-white font-medium py-2 px-4 rounded-lg transition duration-200"
+            >
+              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+              </svg>
+              Add Applicants
+            </button>
+          </div>
         </div>
 
-        {/* Applicants Table */}
+        {/* View toggle and bulk actions */}
+        <div className="mb-4 flex flex-wrap gap-4 justify-between items-center">
+          <div className="flex flex-wrap items-center gap-4">
+            <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+              {['table', 'board'].map(option => (
+                <button
+                  key={option}
+                  onClick={() => setView(option)}
+                  className={`px-3 py-1 font-medium capitalize ${view === option ? 'bg-primary text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={showArchived} onChange={handleShowArchivedChange} />
+              Show archived applicants
+            </label>
+          </div>
+          {selectedIds.length > 0 && (
+            <div className="flex items-center gap-3 text-sm">
+              <span className="text-gray-600">{selectedIds.length} selected</span>
+              <button
+                onClick={handleCompareSelected}
+                disabled={selectedIds.length < 2 || selectedIds.length > MAX_COMPARED_APPLICANTS}
+                title={`Select 2 to ${MAX_COMPARED_APPLICANTS} applicants to compare`}
+                className="bg-blue-100 hover:bg-blue-200 disabled:bg-gray-100 disabled:text-gray-400 text-blue-700 font-medium py-1 px-3 rounded-lg"
+              >
+                Compare
+              </button>
+              <button
+                onClick={() => handleArchive(selectedIds, true)}
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-1 px-3 rounded-lg"
+              >
+                Archive
+              </button>
+              {showArchived && (
+                <button
+                  onClick={() => handleArchive(selectedIds, false)}
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-1 px-3 rounded-lg"
+                >
+                  Unarchive
+                </button>
+              )}
+              <button
+                onClick={handleDeleteSelected}
+                className="bg-red-50 hover:bg-red-100 text-red-700 border border-red-200 font-medium py-1 px-3 rounded-lg"
+              >
+                Delete
+              </button>
+            </div>
+          )}
+        </div>
+
+        {showImport && (
+          <ImportApplicants
+            interviewId={interviewId}
+            existingApplicants={applicants}
+            onImported={handleImported}
+            onClose={() => setShowImport(false)}
+          />
+        )}
+
+        {view === 'board' && !loading ? (
+          <ApplicantBoard
+            applicants={visibleApplicants}
+            stages={stages}
+            getStageSince={getStageSince}
+            onMove={handleMoveApplicant}
+            onOpen={handleViewAnswers}
+          />
+        ) : (
+        /* Applicants Table */
         <div className="bg-white rounded-lg shadow-md overflow-x-auto">
             <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
                     <tr>
+                        <th scope="col" className="pl-4 py-3 text-left">
+                          <input
+                            type="checkbox"
+                            aria-label="Select all applicants"
+                            checked={allVisibleSelected}
+                            onChange={toggleSelectAll}
+                          />
+                        </th>
                         <th scope="col" className="px-3 py-3 text-left text-sm font-medium text-gray-500 uppercase">
                         Applicant Title
                         </th>
@@ -188,27 +619,39 @@ function Applicants() {
                         <th scope="col" className="px-6 py-3 text-left text-sm font-medium text-gray-500 uppercase">
                         Actions
                         </th>
-                        <th scope="col" className="px-6 py-3 text-left text-sm font-medium text-gray-500 uppercase">
-                        Status
-                        </th>
+                        {renderSortableHeader('status', 'Status')}
+                        {renderSortableHeader('rating', 'Rating')}
+                        {renderSortableHeader('answer_rating', 'Answer Rating')}
+                        {renderSortableHeader('rubric_score', 'Rubric Score')}
+                        {renderSortableHeader('tags', 'Tags')}
                     </tr>
                 </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {loading ? (
                 <tr>
-                  <td colSpan="8" className="px-6 py-8 text-center text-gray-500">
+                  <td colSpan="13" className="px-6 py-8 text-center text-gray-500">
                     Loading...
                   </td>
                 </tr>
-              ) : applicants.length === 0 ? (
+              ) : visibleApplicants.length === 0 ? (
                 <tr>
-                  <td colSpan="8" className="px-6 py-8 text-center text-gray-500 border">
-                    No applicants to interview. <br></br> Click "Add Applicants" to get started.
+                  <td colSpan="13" className="px-6 py-8 text-center text-gray-500 border">
+                    {applicants.length === 0
+                      ? <>No applicants to interview. <br></br> Click "Add Applicants" to get started.</>
+                      : 'All applicants are archived. Tick "Show archived applicants" to see them.'}
                   </td>
                 </tr>
               ) : (
-                applicants.map((applicant) => (
-                  <tr key={applicant.id} className="hover:bg-gray-50">
+                sortedApplicants.map((applicant) => (
+                  <tr key={applicant.id} className={`hover:bg-gray-50 ${applicant.archived ? 'opacity-60' : ''}`}>
+                    <td className="pl-4 py-4">
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${applicant.firstname} ${applicant.surname}`}
+                        checked={selectedIds.includes(applicant.id)}
+                        onChange={() => toggleSelected(applicant.id)}
+                      />
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm font-medium text-gray-900">{applicant.title}</div>
                     </td>
@@ -226,12 +669,39 @@ function Applicants() {
                     </td>
                     <td className="px-5 py-4 whitespace-nowrap">
                       <div className="flex flex-col space-y-2">
-                        <button
-                          onClick={() => copyLinkToClipboard(applicant.id)}
-                          className="text-sm bg-blue-100 text-blue-700 hover:bg-blue-200 px-3 py-1 rounded transition duration-200"
-                        >
-                          {copiedLink === applicant.id ? 'Copied!' : 'Copy Link'}
-                        </button>
+                        {links[applicant.id] && !getLinkProblem(links[applicant.id]) && (
+                          <>
+                            <button
+                              onClick={() => copyLinkToClipboard(applicant.id)}
+                              className="text-sm bg-blue-100 text-blue-700 hover:bg-blue-200 px-3 py-1 rounded transition duration-200"
+                            >
+                              {copiedLink === applicant.id ? 'Copied!' : 'Copy Link'}
+                            </button>
+                            <span className="text-xs text-gray-500">
+                              Expires {new Date(links[applicant.id].expires_at).toLocaleDateString()}
+                              {links[applicant.id].single_use && ', single use'}
+                            </span>
+                          </>
+                        )}
+                        {links[applicant.id] && getLinkProblem(links[applicant.id]) && (
+                          <span className="text-xs text-red-600">Link {getLinkProblem(links[applicant.id]).toLowerCase()}</span>
+                        )}
+                        <div className="flex gap-3">
+                          <button
+                            onClick={() => handleGenerateLink(applicant.id)}
+                            className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+                          >
+                            {links[applicant.id] ? 'Regenerate' : 'Generate Link'}
+                          </button>
+                          {links[applicant.id] && (
+                            <button
+                              onClick={() => handleRevokeLink(applicant.id)}
+                              className="text-xs text-red-600 hover:text-red-800 font-medium"
+                            >
+                              Revoke
+                            </button>
+                          )}
+                        </div>
                       </div>
                     </td>
                     <td className="flex flex-row px-8 py-5 whitespace-nowrap text-sm font-medium gap-5">
@@ -251,13 +721,77 @@ function Applicants() {
                           </svg>
                           View Answers
                         </button>
+                        {getApplicantStage(applicant) !== 'Invited' && (
+                          <button 
+                            onClick={() => handleResetApplicant(applicant)}
+                            className="flex items-center justify-center text-red-600 hover:text-red-800 text-sm font-medium gap-1">
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                            </svg>
+                            Reset for Retake
+                          </button>
+                        )}
+                        <button 
+                          onClick={() => handleArchive([applicant.id], !applicant.archived)}
+                          className="flex items-center justify-center text-gray-600 hover:text-gray-800 text-sm font-medium gap-1">
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+                          </svg>
+                          {applicant.archived ? 'Unarchive' : 'Archive'}
+                        </button>
+                        <button 
+                          onClick={() => handleDeleteApplicant(applicant)}
+                          className="flex items-center justify-center text-red-600 hover:text-red-800 text-sm font-medium gap-1">
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                          Delete
+                        </button>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`px-2 py-1.5 text-sm rounded
-                        ${applicant.interview_status === 'Completed' ? 'bg-green-100 text-green-700 px-3' : 
-                            'bg-grey-800 text-grey-700 border'}`}>
-                        {applicant.interview_status}
-                      </span>
+                      <select
+                        aria-label={`Pipeline stage for ${applicant.firstname} ${applicant.surname}`}
+                        className={`px-2 py-1.5 text-sm rounded border
+                          ${getApplicantStage(applicant) === 'Completed' ? 'bg-green-100 text-green-700 border-green-200' : 
+                              'bg-white text-gray-700 border-gray-300'}`}
+                        value={getApplicantStage(applicant)}
+                        onChange={(event) => handleMoveApplicant(applicant, event.target.value)}
+                      >
+                        {!stages.includes(getApplicantStage(applicant)) && (
+                          <option value={getApplicantStage(applicant)}>{getApplicantStage(applicant)}</option>
+                        )}
+                        {stages.map(stage => (
+                          <option key={stage} value={stage}>{stage}</option>
+                        ))}
+                      </select>
+                      {getStageSince(applicant) && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          Since {new Date(getStageSince(applicant)).toLocaleDateString()}
+                        </div>
+                      )}
+                      {applicant.archived && (
+                        <span className="ml-2 text-xs text-gray-500">Archived</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {applicant.rating ? `${applicant.rating}/5` : <span className="text-gray-400">-</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {answerRatings[applicant.id] != null
+                        ? `${answerRatings[applicant.id].toFixed(1)}/5`
+                        : <span className="text-gray-400">-</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {rubricScores[applicant.id] != null
+                        ? `${rubricScores[applicant.id].toFixed(1)}/5`
+                        : <span className="text-gray-400">-</span>}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex flex-wrap gap-1">
+                        {(applicant.tags || []).map(tag => (
+                          <span key={tag} className="px-2 py-0.5 rounded-lg text-xs bg-blue-100 text-blue-700 whitespace-nowrap">{tag}</span>
+                        ))}
+                      </div>
                     </td>
                   </tr>
                 ))
@@ -265,6 +799,7 @@ function Applicants() {
             </tbody>
           </table>
         </div>
+        )}
       </main>
     </div>
   );
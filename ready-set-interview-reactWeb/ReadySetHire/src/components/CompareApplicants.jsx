@@ -0,0 +1,198 @@
+import { useState, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { getApplicantsByInterview, getQuestionsByInterview, getAnswersByApplicants, getApplicantStage, MAX_COMPARED_APPLICANTS } from '../app';
+import { formatDuration, countWords } from '../format';
+import { weightedRubricScore } from '../rubric';
+
+/**
+ * Compare interview answers from several applicants side by side
+ * This component shows each question once with every selected applicant's answer in aligned columns,
+ * alongside the reviewer's ratings, rubric scores and word counts, so finalists can be weighed on one screen
+ *
+ * @component
+ * @param {Object} location - React Router location object containing state
+ * @param {Array<string>} location.state.applicantIds - IDs of the applicants to compare (2-5)
+ * @param {string} location.state.interviewId - ID of the associated interview
+ * @param {string} location.state.interviewTitle - Title of the associated interview
+ *
+ * @state {Array} applicants - Applicants being compared, in the order they were selected
+ * @state {Array} questions - List of questions for the interview
+ * @state {Array} answers - Answers submitted by the compared applicants
+ * @state {boolean} loading - Flag indicating if data is currently loading
+ * @state {string|null} error - Error message if data loading fails
+ *
+ * @returns {JSX.Element} - Comparison table of applicant answers
+ */
+function CompareApplicants() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { applicantIds, interviewId, interviewTitle } = location.state || {};
+  const [applicants, setApplicants] = useState([]);
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Fetch the applicants, questions and answers when component mounts
+  useEffect(() => {
+    const fetchComparison = async () => {
+      if (!interviewId || !applicantIds || applicantIds.length < 2 || applicantIds.length > MAX_COMPARED_APPLICANTS) {
+        setError(`Select between 2 and ${MAX_COMPARED_APPLICANTS} applicants to compare.`);
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const [applicantData, questionData, answerData] = await Promise.all([
+          getApplicantsByInterview(interviewId),
+          getQuestionsByInterview(interviewId),
+          getAnswersByApplicants(applicantIds),
+        ]);
+        setApplicants(applicantIds.map(id => applicantData.find(applicant => applicant.id === id)).filter(Boolean));
+        setQuestions(questionData);
+        setAnswers(answerData);
+      } catch (err) {
+        console.error("Error fetching applicant comparison:", err);
+        setError("Failed to load applicants. Please try again.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchComparison();
+  }, [applicantIds, interviewId]);
+
+  // Navigate back to applicants list while passing attributes
+  const handleBackToApplicants = () => {
+    navigate('/applicants', {
+      state: { interviewId, interviewTitle },
+    });
+  };
+
+  const questionMap = Object.fromEntries(questions.map(question => [question.id, question]));
+
+  // Find an applicant's answer to a question
+  const getAnswer = (applicantId, questionId) =>
+    answers.find(answer => answer.applicant_id === applicantId && answer.question_id === questionId);
+
+  // Summary figures for an applicant's whole interview
+  const getSummary = (applicant) => {
+    const applicantAnswers = answers.filter(answer => answer.applicant_id === applicant.id);
+    const ratings = applicantAnswers.map(answer => answer.review_rating).filter(rating => rating != null);
+    return {
+      answered: applicantAnswers.filter(answer => answer.answer).length,
+      words: applicantAnswers.reduce((sum, answer) => sum + countWords(answer.answer), 0),
+      answerRating: ratings.length > 0 ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : null,
+      rubricScore: weightedRubricScore(applicantAnswers, questionMap),
+    };
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
+          <button
+            type="button"
+            onClick={handleBackToApplicants}
+            className="flex items-center text-blue-600 hover:text-blue-800 font-medium"
+          >
+            <svg className="w-5 h-5 mr-1 text-headerblue" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            <p className="text-headerblue">Back to Applicants</p>
+          </button>
+        </div>
+      </header>
+
+      <div className="mx-auto p-6 max-w-screen-2xl">
+        <h1 className="text-3xl font-bold mb-6">Compare Applicants for {interviewTitle}</h1>
+
+        {loading ? (
+          <p className="text-gray-500">Loading applicants...</p>
+        ) : error ? (
+          <p className="text-red-500">{error}</p>
+        ) : (
+          <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+            <table className="min-w-full table-fixed divide-y divide-gray-200">
+              <thead className="bg-gray-50 align-top">
+                <tr>
+                  <th scope="col" className="w-64 px-4 py-3 text-left text-sm font-medium text-gray-500 uppercase">
+                    Question
+                  </th>
+                  {applicants.map(applicant => {
+                    const summary = getSummary(applicant);
+                    return (
+                      <th key={applicant.id} scope="col" className="w-80 px-4 py-3 text-left font-normal">
+                        <p className="text-base font-semibold text-gray-900">{applicant.firstname} {applicant.surname}</p>
+                        <p className="text-sm text-gray-500 mb-2">{getApplicantStage(applicant)}</p>
+                        <dl className="grid grid-cols-2 gap-x-3 gap-y-1 text-sm text-gray-700">
+                          <dt>Rating</dt>
+                          <dd>{applicant.rating ? `${applicant.rating}/5` : '-'}</dd>
+                          <dt>Answer Rating</dt>
+                          <dd>{summary.answerRating !== null ? `${summary.answerRating.toFixed(1)}/5` : '-'}</dd>
+                          <dt>Rubric Score</dt>
+                          <dd>{summary.rubricScore !== null ? `${summary.rubricScore.toFixed(1)}/5` : '-'}</dd>
+                          <dt>Answered</dt>
+                          <dd>{summary.answered}/{questions.length}</dd>
+                          <dt>Total Words</dt>
+                          <dd>{summary.words}</dd>
+                        </dl>
+                        {applicant.tags?.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-2">
+                            {applicant.tags.map(tag => (
+                              <span key={tag} className="px-2 py-0.5 rounded-lg text-xs bg-blue-100 text-blue-700">{tag}</span>
+                            ))}
+                          </div>
+                        )}
+                      </th>
+                    );
+                  })}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200 align-top">
+                {questions.map((question, index) => (
+                  <tr key={question.id}>
+                    <th scope="row" className="px-4 py-4 text-left font-normal">
+                      <p className="text-sm font-semibold text-gray-800">{index + 1}. {question.question}</p>
+                      <p className="text-xs text-gray-500 mt-1">{question.difficulty}</p>
+                    </th>
+                    {applicants.map(applicant => {
+                      const answer = getAnswer(applicant.id, question.id);
+                      const answerRubricScore = answer ? weightedRubricScore([answer], questionMap) : null;
+
+                      return (
+                        <td key={applicant.id} className="px-4 py-4">
+                          {!answer ? (
+                            <p className="text-sm text-gray-400 italic">Not answered yet</p>
+                          ) : (
+                            <>
+                              <div className="max-h-48 overflow-y-auto text-sm text-gray-800 whitespace-pre-wrap mb-2">
+                                {answer.answer || <span className="text-gray-400 italic">Question skipped</span>}
+                              </div>
+                              <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-500">
+                                <span>{countWords(answer.answer)} words</span>
+                                {answer.time_taken != null && <span>{formatDuration(answer.time_taken)}</span>}
+                                {answer.review_rating != null && <span>Rated {answer.review_rating}/5</span>}
+                                {answerRubricScore !== null && <span>Rubric {answerRubricScore.toFixed(1)}/5</span>}
+                              </div>
+                              {answer.review_comment && (
+                                <p className="text-xs text-gray-600 italic mt-1">"{answer.review_comment}"</p>
+                              )}
+                            </>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CompareApplicants;
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { createInterview, getInterview, updateInterview } from '../app.js';
+import { createInterview, getInterview, updateInterview, createQuestions, getInterviewTemplates, deleteInterviewTemplate, getPipelineStages, DEFAULT_PIPELINE_STAGES, REQUIRED_PIPELINE_STAGES } from '../app.js';
 
 /**
  * Create or edit an interview
@@ -14,8 +14,14 @@ import { createInterview, getInterview, updateInterview } from '../app.js';
  * @state {string} job_role - Job role being interviewed for
  * @state {string} status - Publication status of the interview (Draft, Published)
  * @state {string} description - Detailed description of the interview
+ * @state {string} time_limit_minutes - Optional time allowed for the whole interview in minutes (empty for no limit)
+ * @state {string} preparation_seconds - Optional preparation time shown before each answer in seconds (empty for none)
+ * @state {string} answer_mode - How applicants may answer (Candidate Choice: voice or typed, Text Only: typed)
+ * @state {string} pipeline_stages - Hiring pipeline stages applicants move through, one per line
  * @state {boolean} isSubmitting - Flag indicating if form is currently submitting
  * @state {boolean} isEditing - Flag indicating if component is in edit mode
+ * @state {Array} templates - Saved interview templates that can seed a new interview
+ * @state {string} templateId - ID of the template the new interview is based on (empty for none)
  * 
  * @returns {JSX.Element} - Rendered form component for creating/editing interviews
  */
@@ -29,8 +35,16 @@ function CreateInterview() {
   const [job_role, setJobRole] = useState(''); 
   const [status, setStatus] = useState('Draft');
   const [description, setDescription] = useState('');
+  const [answer_mode, setAnswerMode] = useState('Candidate Choice');
+  const [time_limit_minutes, setTimeLimitMinutes] = useState('');
+  const [preparation_seconds, setPreparationSeconds] = useState('');
+  const [pipeline_stages, setPipelineStages] = useState(DEFAULT_PIPELINE_STAGES.join('\n'));
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+
+  const selectedTemplate = templates.find(template => String(template.id) === templateId);
   
   // Load interview from API when component mounts
   useEffect(() => {
@@ -39,11 +53,15 @@ function CreateInterview() {
       
       try {
         setIsEditing(true);
-        const interviewData = await getInterview(interviewId);
+        const [interviewData] = await getInterview(interviewId);
         setTitle(interviewData.title || '');
         setJobRole(interviewData.job_role || '');
         setStatus(interviewData.status || 'Draft');
         setDescription(interviewData.description || '');
+        setAnswerMode(interviewData.answer_mode || 'Candidate Choice');
+        setTimeLimitMinutes(interviewData.time_limit_minutes ? String(interviewData.time_limit_minutes) : '');
+        setPreparationSeconds(interviewData.preparation_seconds ? String(interviewData.preparation_seconds) : '');
+        setPipelineStages(getPipelineStages(interviewData).join('\n'));
       } catch (error) {
         alert('Failed to load interview data. Please try again.');
       }
@@ -52,6 +70,50 @@ function CreateInterview() {
     fetchInterview();
   }, [interviewId]);
 
+  // Load saved templates when creating a new interview
+  useEffect(() => {
+    if (interviewId) return;
+
+    const fetchTemplates = async () => {
+      try {
+        setTemplates(await getInterviewTemplates());
+      } catch (error) {
+        console.error('Error fetching interview templates:', error);
+      }
+    };
+
+    fetchTemplates();
+  }, [interviewId]);
+
+  // Fill the form from the chosen template
+  const handleTemplateChange = (event) => {
+    const template = templates.find(t => String(t.id) === event.target.value);
+    setTemplateId(event.target.value);
+    if (!template) return;
+
+    setTitle(template.interview.title || '');
+    setJobRole(template.interview.job_role || '');
+    setDescription(template.interview.description || '');
+    setAnswerMode(template.interview.answer_mode || 'Candidate Choice');
+    setTimeLimitMinutes(template.interview.time_limit_minutes ? String(template.interview.time_limit_minutes) : '');
+    setPreparationSeconds(template.interview.preparation_seconds ? String(template.interview.preparation_seconds) : '');
+    setPipelineStages(getPipelineStages(template.interview).join('\n'));
+  };
+
+  // Delete the chosen template (interviews already created from it are kept)
+  const handleDeleteTemplate = async () => {
+    if (window.confirm(`Are you sure you want to delete the template "${selectedTemplate.name}"?`)) {
+      try {
+        await deleteInterviewTemplate(selectedTemplate.id);
+        setTemplates(templates.filter(template => template.id !== selectedTemplate.id));
+        setTemplateId('');
+      } catch (error) {
+        console.error('Error deleting interview template:', error);
+        alert('Failed to delete template. Please try again.');
+      }
+    }
+  };
+
   // Handle input changes
   const handleTitleChange = (event) => {
     setTitle(event.target.value);
@@ -69,26 +131,58 @@ function CreateInterview() {
     setDescription(event.target.value);
   };
 
+  const handleAnswerModeChange = (event) => {
+    setAnswerMode(event.target.value);
+  };
+
+  const handleTimeLimitChange = (event) => {
+    setTimeLimitMinutes(event.target.value);
+  };
+
+  const handlePreparationChange = (event) => {
+    setPreparationSeconds(event.target.value);
+  };
+
+  const handlePipelineStagesChange = (event) => {
+    setPipelineStages(event.target.value);
+  };
+
   // Handle form submission
   const handleSubmit = async (event) => {
     event.preventDefault();
+
+    // One stage per line, ignoring blank lines and repeats
+    const stages = [...new Set(pipeline_stages.split('\n').map(stage => stage.trim()).filter(Boolean))];
+    const missingStages = REQUIRED_PIPELINE_STAGES.filter(stage => !stages.includes(stage));
+    if (missingStages.length > 0) {
+      alert(`The pipeline must include these stages: ${missingStages.join(', ')}`);
+      return;
+    }
     
     if (title && job_role && status) {
       setIsSubmitting(true);
       
       try {
         const interviewData = {
+          ...selectedTemplate?.interview,
           title,
           job_role,
           status,
           description: description || null,
+          answer_mode,
+          time_limit_minutes: time_limit_minutes ? parseInt(time_limit_minutes) : null,
+          preparation_seconds: preparation_seconds ? parseInt(preparation_seconds) : null,
+          pipeline_stages: stages,
         };
 
         if (isEditing) {
           await updateInterview(interviewId, interviewData);
           alert('Interview updated successfully');
         } else {
-          await createInterview(interviewData);
+          const [interview] = await createInterview(interviewData);
+          if (selectedTemplate?.questions.length > 0) {
+            await createQuestions(selectedTemplate.questions.map(question => ({ ...question, interview_id: interview.id })));
+          }
           alert('Interview created successfully');
         }
         
@@ -137,6 +231,40 @@ function CreateInterview() {
         {/* Form to add new interviews */}
         <form onSubmit={handleSubmit} className="bg-white p-6 rounded-lg shadow-md mb-8">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {!isEditing && templates.length > 0 && (
+              <div className="md:col-span-2">
+                <label className="block text-gray-700 font-medium mb-2" htmlFor="template">
+                  Start from Template
+                </label>
+                <div className="flex gap-3">
+                  <select
+                    id="template"
+                    className="flex-1 px-6 py-2 border border-gray-300 rounded-lg"
+                    value={templateId}
+                    onChange={handleTemplateChange}
+                    disabled={isSubmitting}
+                  >
+                    <option value="">Blank interview</option>
+                    {templates.map(template => (
+                      <option key={template.id} value={template.id}>
+                        {template.name} ({template.questions.length} questions)
+                      </option>
+                    ))}
+                  </select>
+                  {selectedTemplate && (
+                    <button
+                      type="button"
+                      onClick={handleDeleteTemplate}
+                      className="text-red-600 hover:text-red-800 text-sm font-medium"
+                      disabled={isSubmitting}
+                    >
+                      Delete Template
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+
             <div className="md:col-span-2">
               <label className="block text-gray-700 font-medium mb-2" htmlFor="title">
                 Interview Title *
@@ -186,6 +314,75 @@ function CreateInterview() {
               </select>
             </div>
             
+            <div className="md:col-span-2">
+              <label className="block text-gray-700 font-medium mb-2" htmlFor="answer_mode">
+                Answer Mode
+              </label>
+              <select
+                id="answer_mode"
+                className="w-full px-6 py-2 border border-gray-300 rounded-lg"
+                value={answer_mode}
+                onChange={handleAnswerModeChange}
+                disabled={isSubmitting}
+              >
+                <option value="Candidate Choice">Candidate Choice (voice or typed)</option>
+                <option value="Text Only">Text Only (typed answers)</option>
+              </select>
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="block text-gray-700 font-medium mb-2" htmlFor="time_limit_minutes">
+                Overall Time Limit (minutes)
+              </label>
+              <input
+                id="time_limit_minutes"
+                type="number"
+                min="1"
+                step="1"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                value={time_limit_minutes}
+                onChange={handleTimeLimitChange}
+                placeholder="No limit"
+                disabled={isSubmitting}
+              />
+              <p className="text-sm text-gray-500 mt-1">Counted from when the applicant starts. The interview ends when time runs out.</p>
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="block text-gray-700 font-medium mb-2" htmlFor="preparation_seconds">
+                Preparation Time (seconds)
+              </label>
+              <input
+                id="preparation_seconds"
+                type="number"
+                min="1"
+                step="1"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                value={preparation_seconds}
+                onChange={handlePreparationChange}
+                placeholder="None"
+                disabled={isSubmitting}
+              />
+              <p className="text-sm text-gray-500 mt-1">Applicants see each question for this long before recording starts, and can start early.</p>
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="block text-gray-700 font-medium mb-2" htmlFor="pipeline_stages">
+                Pipeline Stages
+              </label>
+              <textarea
+                id="pipeline_stages"
+                rows="6"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                value={pipeline_stages}
+                onChange={handlePipelineStagesChange}
+                disabled={isSubmitting}
+              ></textarea>
+              <p className="text-sm text-gray-500 mt-1">
+                One stage per line, in order. {REQUIRED_PIPELINE_STAGES.join(', ')} are set automatically as applicants take the interview and must be kept.
+              </p>
+            </div>
+
             <div className="md:col-span-2">
               <label className="block text-gray-700 font-medium mb-2" htmlFor="description">
                 Description
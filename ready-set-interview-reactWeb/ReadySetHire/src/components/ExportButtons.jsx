@@ -0,0 +1,51 @@
+import { useState } from 'react';
+import { downloadRecords } from '../export';
+
+/**
+ * CSV and JSON export buttons
+ * The records are gathered only when a button is clicked, so exports can fetch data the page does not show.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {function(): Array<Object>|Promise<Array<Object>>} props.getRecords - Builds the records to export
+ * @param {string} props.fileName - File name without the extension
+ * @param {boolean} [props.disabled=false] - Disables the buttons, e.g. while the page is loading
+ *
+ * @state {string|null} exporting - Format currently being exported (csv, json)
+ *
+ * @returns {JSX.Element} - Export buttons
+ */
+function ExportButtons({ getRecords, fileName, disabled = false }) {
+  const [exporting, setExporting] = useState(null);
+
+  // Gather the records and download them in the chosen format
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      downloadRecords(await getRecords(), fileName, format);
+    } catch (err) {
+      console.error("Error exporting data:", err);
+      alert('Failed to export data. Please try again.');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="flex gap-2">
+      {['csv', 'json'].map(format => (
+        <button
+          key={format}
+          type="button"
+          onClick={() => handleExport(format)}
+          disabled={disabled || exporting !== null}
+          className="bg-gray-100 hover:bg-gray-200 disabled:text-gray-400 text-gray-700 font-medium py-2 px-4 rounded-lg transition duration-200"
+        >
+          {exporting === format ? 'Exporting...' : `Export ${format.toUpperCase()}`}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default ExportButtons;
@@ -1,4 +1,5 @@
 import { NavLink, useNavigate} from "react-router-dom";
+import { getSession, logout } from "../app";
 
 /**
  * Header component with navigation and page title section
@@ -9,7 +10,7 @@ import { NavLink, useNavigate} from "react-router-dom";
  * @param {string} props.title - Main title to display in the header
  * @param {string} props.subtitle - Subtitle text below the main title
  * @param {string} props.buttonText - Text for the action button (optional)
- * @param {boolean} [props.showInterviewsButton=true] - Whether to show the Interviews navigation button
+ * @param {boolean} [props.showInterviewsButton=true] - Whether to show the Interviews navigation button and recruiter logout
  * 
  * @returns {JSX.Element} - Rendered header component with navigation and title section
  */
@@ -23,14 +24,21 @@ function Header({ title, subtitle, buttonText, showInterviewsButton = true }) {
   };
   
   const navigate = useNavigate();
+  const session = getSession();
   
   // Navigates to the interviews page
   const goToInterviews = () => {
     navigate('/interviews');
   };
 
+  // Ends the recruiter session and returns to the login page
+  const handleLogout = () => {
+    logout();
+    navigate('/login', { replace: true });
+  };
+
   return (
-    <header className="bg-headerblue text-white">
+    <header className="bg-headerblue text-white print:hidden">
       {/* Navbar */}
       <div className="navbar bg-headerblue px-6 py-8 h-24 w-full">
         <div className="flex items-center justify-between w-full">
@@ -50,6 +58,15 @@ function Header({ title, subtitle, buttonText, showInterviewsButton = true }) {
                 >
                   <h1 className="text-2xl">Interviews</h1>
                 </NavLink>
+                {session && (
+                  <button
+                    onClick={handleLogout}
+                    title={`Signed in as ${session.username}`}
+                    className="btn btn-lg rounded-lg px-8 outline outline-[0.5px] outline-white text-white bg-headerblue hover:bg-button-hover transition-colors duration-200"
+                  >
+                    <h1 className="text-2xl">Logout</h1>
+                  </button>
+                )}
               </div>
             )}
           </div>
@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import { createApplicants } from '../app';
+import { parseDelimited } from '../csv';
+
+// Applicant fields that CSV columns can be mapped to, with header names recognised for each
+const APPLICANT_FIELDS = [
+  { key: 'title', label: 'Title', required: true, aliases: ['title', 'salutation'] },
+  { key: 'firstname', label: 'First Name', required: true, aliases: ['firstname', 'first', 'givenname', 'forename'] },
+  { key: 'surname', label: 'Last Name', required: true, aliases: ['surname', 'lastname', 'last', 'familyname'] },
+  { key: 'phone_number', label: 'Phone', required: false, aliases: ['phone', 'phonenumber', 'mobile', 'telephone'] },
+  { key: 'email_address', label: 'Email', required: true, aliases: ['email', 'emailaddress', 'mail'] },
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Guess which column holds each applicant field from the header row
+ * @param {Array<string>} headerCells - Header row cells
+ * @returns {Object} - Column index (as a string) keyed by field, empty when no column matches
+ */
+function guessMapping(headerCells) {
+  const normalised = headerCells.map(cell => cell.toLowerCase().replace(/[^a-z]/g, ''));
+  return Object.fromEntries(APPLICANT_FIELDS.map(field => {
+    const index = normalised.findIndex(cell => field.aliases.includes(cell));
+    return [field.key, index === -1 ? '' : String(index)];
+  }));
+}
+
+/**
+ * Import many applicants at once from a CSV file or rows pasted from a spreadsheet
+ * This component parses the data, lets the recruiter map columns to applicant fields,
+ * previews every row with missing fields, invalid emails and duplicates flagged,
+ * and creates all valid applicants in a single request
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.interviewId - ID of the interview the applicants are for
+ * @param {Array<Object>} props.existingApplicants - Applicants already on the interview, used to flag duplicates
+ * @param {function(Array<Object>): void} props.onImported - Called with the created applicants
+ * @param {function(): void} props.onClose - Closes the import panel
+ *
+ * @state {string} text - Raw CSV or pasted spreadsheet text
+ * @state {boolean} hasHeader - Whether the first row holds column names
+ * @state {Object} mapping - Column index (as a string) keyed by applicant field
+ * @state {boolean} importing - Flag indicating if applicants are being created
+ *
+ * @returns {JSX.Element} - Applicant import panel
+ */
+function ImportApplicants({ interviewId, existingApplicants, onImported, onClose }) {
+  const [text, setText] = useState('');
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState(guessMapping([]));
+  const [importing, setImporting] = useState(false);
+
+  const rows = parseDelimited(text);
+  const headerCells = hasHeader ? rows[0] || [] : [];
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const columnCount = Math.max(0, ...rows.map(row => row.length));
+  const columns = Array.from({ length: columnCount }, (_, index) => headerCells[index] || `Column ${index + 1}`);
+
+  // Map each row to an applicant and collect anything that stops it being imported
+  const existingEmails = new Set(existingApplicants.map(a => (a.email_address || '').toLowerCase()));
+  const seenEmails = new Set();
+  const preview = dataRows.map(row => {
+    const applicant = Object.fromEntries(APPLICANT_FIELDS.map(field => [
+      field.key,
+      mapping[field.key] === '' ? '' : row[parseInt(mapping[field.key])] || '',
+    ]));
+
+    const issues = APPLICANT_FIELDS
+      .filter(field => field.required && !applicant[field.key])
+      .map(field => `Missing ${field.label.toLowerCase()}`);
+    const email = applicant.email_address.toLowerCase();
+    if (email && !EMAIL_PATTERN.test(email)) {
+      issues.push('Invalid email');
+    } else if (existingEmails.has(email)) {
+      issues.push('Already an applicant');
+    } else if (seenEmails.has(email)) {
+      issues.push('Duplicate in import');
+    }
+    seenEmails.add(email);
+
+    return { applicant, issues };
+  });
+  const validApplicants = preview.filter(row => row.issues.length === 0).map(row => row.applicant);
+
+  // Use new text and guess the column mapping from its header row
+  const loadText = (value, header = hasHeader) => {
+    setText(value);
+    setMapping(guessMapping(header ? parseDelimited(value)[0] || [] : []));
+  };
+
+  // Read an uploaded CSV file
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      loadText(await file.text());
+    }
+  };
+
+  const handleHasHeaderChange = (event) => {
+    setHasHeader(event.target.checked);
+    loadText(text, event.target.checked);
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Create every valid applicant in one request
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const created = await createApplicants(validApplicants.map(applicant => ({
+        ...applicant,
+        phone_number: applicant.phone_number || null,
+        interview_id: interviewId,
+        interview_status: 'Invited',
+      })));
+      alert(`${created.length} applicants imported successfully`);
+      onImported(created);
+    } catch (err) {
+      console.error("Error importing applicants:", err);
+      alert('Failed to import applicants. Please try again.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">Import Applicants</h2>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700 font-medium">
+          Close
+        </button>
+      </div>
+
+      {/* Source */}
+      <div className="flex flex-col md:flex-row md:items-center gap-3 mb-3">
+        <input
+          type="file"
+          accept=".csv,.tsv,.txt,text/csv"
+          onChange={handleFileChange}
+          className="text-sm"
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={hasHeader} onChange={handleHasHeaderChange} />
+          First row is column names
+        </label>
+      </div>
+      <textarea
+        rows="5"
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-sm mb-4"
+        value={text}
+        onChange={(event) => loadText(event.target.value)}
+        placeholder={'Choose a CSV file or paste rows from a spreadsheet, e.g.\nTitle,First Name,Last Name,Phone,Email\nMs,Jane,Doe,0400 000 000,jane.doe@email.com'}
+      ></textarea>
+
+      {rows.length > 0 && (
+        <>
+          {/* Column mapping */}
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-4">
+            {APPLICANT_FIELDS.map(field => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor={`map-${field.key}`}>
+                  {field.label}{field.required && ' *'}
+                </label>
+                <select
+                  id={`map-${field.key}`}
+                  className="w-full px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                  value={mapping[field.key]}
+                  onChange={(event) => handleMappingChange(field.key, event.target.value)}
+                >
+                  <option value="">Not imported</option>
+                  {columns.map((column, index) => (
+                    <option key={index} value={String(index)}>{column}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {/* Validation preview */}
+          <div className="border border-gray-200 rounded-lg max-h-96 overflow-auto mb-4">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {APPLICANT_FIELDS.map(field => (
+                    <th key={field.key} scope="col" className="px-3 py-2 text-left font-medium text-gray-500 uppercase">
+                      {field.label}
+                    </th>
+                  ))}
+                  <th scope="col" className="px-3 py-2 text-left font-medium text-gray-500 uppercase">Problems</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {preview.map((row, index) => (
+                  <tr key={index} className={row.issues.length > 0 ? 'bg-red-50' : ''}>
+                    {APPLICANT_FIELDS.map(field => (
+                      <td key={field.key} className="px-3 py-2 whitespace-nowrap text-gray-900">{row.applicant[field.key]}</td>
+                    ))}
+                    <td className="px-3 py-2 whitespace-nowrap text-red-600">{row.issues.join(', ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <div className="flex justify-between items-center">
+        <p className="text-sm text-gray-600">
+          {preview.length > validApplicants.length &&
+            `${preview.length - validApplicants.length} of ${preview.length} rows have problems and will be skipped.`}
+        </p>
+        <button
+          onClick={handleImport}
+          disabled={validApplicants.length === 0 || importing}
+          className="bg-primary hover:bg-headerblue disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-lg transition duration-200"
+        >
+          {importing ? 'Importing...' : `Import ${validApplicants.length} Applicants`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ImportApplicants;
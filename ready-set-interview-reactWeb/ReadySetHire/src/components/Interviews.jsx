@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
-import { getInterviews, deleteInterview, getQuestionCount, getApplicantCount} from '../app';
+import { getInterviews, deleteInterview, duplicateInterview, saveInterviewAsTemplate, getQuestionCount, getApplicantCount, getPipelineStages} from '../app';
 import { Link, useNavigate } from 'react-router-dom';
+import ExportButtons from './ExportButtons';
 
 /**
  * Display and manage all interviews with statistics and actions
@@ -11,6 +12,7 @@ import { Link, useNavigate } from 'react-router-dom';
  * @state {Array} interviews - List of interview objects with counts
  * @state {boolean} loading - Flag indicating if data is currently loading
  * @state {string|null} error - Error message if data loading fails
+ * @state {string|null} copyingId - ID of the interview currently being duplicated or saved as a template
  * 
  * @returns {JSX.Element} - Rendered interviews dashboard with statistics and management interface
  */
@@ -18,6 +20,7 @@ function Interviews() {
   const [interviews, setInterviews] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [copyingId, setCopyingId] = useState(null);
 
   const navigate = useNavigate();
   
@@ -69,6 +72,21 @@ function Interviews() {
     }
   };
 
+  // Interviews with their question and applicant counts, for export
+  const getInterviewRecords = () => interviews.map(interview => ({
+    id: interview.id,
+    title: interview.title,
+    job_role: interview.job_role,
+    status: interview.status,
+    description: interview.description,
+    answer_mode: interview.answer_mode || 'Candidate Choice',
+    time_limit_minutes: interview.time_limit_minutes ?? null,
+    preparation_seconds: interview.preparation_seconds ?? null,
+    pipeline_stages: getPipelineStages(interview),
+    question_count: interview.questionCount,
+    applicant_count: interview.applicantCount,
+  }));
+
   // Navigates to edit an interview
   const handleEditInterview = (interview) => {    
     navigate('/CreateInterview', { 
@@ -92,6 +110,37 @@ function Interviews() {
     }
   };
 
+  // Duplicate interview with its questions, then refresh so the copy and its counts appear
+  const handleDuplicateInterview = async (interview) => {
+    setCopyingId(interview.id);
+    try {
+      await duplicateInterview(interview.id);
+      await fetchInterviews();
+    } catch (err) {
+      console.error('Error duplicating interview:', err);
+      alert('Failed to duplicate interview. Please try again.');
+    } finally {
+      setCopyingId(null);
+    }
+  };
+
+  // Save interview and its questions as a named template for new interviews
+  const handleSaveAsTemplate = async (interview) => {
+    const name = window.prompt('Template name:', interview.title);
+    if (!name || !name.trim()) return;
+
+    setCopyingId(interview.id);
+    try {
+      await saveInterviewAsTemplate(interview.id, name.trim());
+      alert(`Saved "${name.trim()}" as a template. Choose it when creating a new interview.`);
+    } catch (err) {
+      console.error('Error saving interview template:', err);
+      alert('Failed to save template. Please try again.');
+    } finally {
+      setCopyingId(null);
+    }
+  };
+
   // Fetch interviews on component mount
   useEffect(() => {
     fetchInterviews();
@@ -161,15 +210,18 @@ function Interviews() {
         <div className="bg-white rounded-lg shadow-md p-6">
           <div className="flex justify-between items-center mb-6">
             <h2 className="text-2xl font-semibold text-gray-800">All Interviews</h2>
-            <button
-              onClick={fetchInterviews}
-              className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-2 px-4 rounded-lg transition duration-200 flex items-center"
-            >
-              <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-              </svg>
-              Refresh
-            </button>
+            <div className="flex flex-wrap gap-2">
+              <ExportButtons getRecords={getInterviewRecords} fileName="interviews" disabled={interviews.length === 0} />
+              <button
+                onClick={fetchInterviews}
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-2 px-4 rounded-lg transition duration-200 flex items-center"
+              >
+                <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                </svg>
+                Refresh
+              </button>
+            </div>
           </div>
 
           {interviews.length === 0 ? (
@@ -234,7 +286,7 @@ function Interviews() {
                     </div>
                   </div>
 
-                  <div className="flex justify-between items-center pt-4 border-t border-gray-100">
+                  <div className="flex flex-wrap gap-3 justify-between items-center pt-4 border-t border-gray-100">
                     <div className="flex space-x-3">
                       <button 
                         type="button"
@@ -253,6 +305,24 @@ function Interviews() {
                     </div>
                     
                     <div className="flex space-x-3">
+                      <button
+                        onClick={() => handleDuplicateInterview(interview)}
+                        disabled={copyingId === interview.id}
+                        className="flex items-center justify-center text-gray-600 hover:text-gray-800 disabled:text-gray-400 text-sm font-medium">
+                        <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                        </svg>
+                        Duplicate
+                      </button>
+                      <button
+                        onClick={() => handleSaveAsTemplate(interview)}
+                        disabled={copyingId === interview.id}
+                        className="flex items-center justify-center text-gray-600 hover:text-gray-800 disabled:text-gray-400 text-sm font-medium">
+                        <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+                        </svg>
+                        Save as Template
+                      </button>
                       <button
                         onClick={() => handleEditInterview(interview)}
                         className="flex items-center justify-center text-gray-600 hover:text-gray-800 text-sm font-medium">
@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { login } from '../app.js';
+
+/**
+ * Recruiter sign-in page
+ * This component provides a form to sign in with a UQ username and JWT token,
+ * which are kept in session storage and sent with every API request
+ *
+ * @component
+ * @param {object} location - React Router location object containing state
+ * @param {object} location.state.from - Location to return to after signing in (optional)
+ * @param {boolean} location.state.expired - Whether the previous session expired (optional)
+ *
+ * @state {string} username - UQ student username
+ * @state {string} token - JWT token for authorization
+ * @state {boolean} isSubmitting - Flag indicating if form is currently submitting
+ * @state {string|null} error - Error message if sign in fails
+ *
+ * @returns {JSX.Element} - Rendered sign-in form
+ */
+function Login() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const from = location.state?.from || { pathname: '/interviews' };
+  const expired = location.state?.expired;
+
+  // State for the form inputs
+  const [username, setUsername] = useState('');
+  const [token, setToken] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Handle input changes
+  const handleUsernameChange = (event) => {
+    setUsername(event.target.value);
+  };
+
+  const handleTokenChange = (event) => {
+    setToken(event.target.value);
+  };
+
+  // Sign in and return to the page the recruiter was trying to reach
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (username && token) {
+      setIsSubmitting(true);
+      setError(null);
+
+      try {
+        await login(username.trim(), token.trim());
+        navigate(from.pathname, { replace: true, state: from.state });
+      } catch (err) {
+        setError(err.message || 'Failed to sign in. Please try again.');
+      } finally {
+        setIsSubmitting(false);
+      }
+    } else {
+      setError('Please fill in all required fields before signing in.');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto p-6 max-w-xl">
+        <h1 className="text-2xl font-bold text-gray-800 mb-2">Recruiter Sign In</h1>
+        <p className="text-gray-600 mb-6">Sign in with your username and API token to manage your interviews</p>
+
+        {expired && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4">
+            <p className="text-yellow-800">Your session has expired. Please sign in again.</p>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4">
+            <p className="text-red-600">{error}</p>
+          </div>
+        )}
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="bg-white p-6 rounded-lg shadow-md mb-8">
+          <div className="grid grid-cols-1 gap-6">
+            <div>
+              <label className="block text-gray-700 font-medium mb-2" htmlFor="username">
+                Username *
+              </label>
+              <input
+                id="username"
+                type="text"
+                autoComplete="username"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                value={username}
+                onChange={handleUsernameChange}
+                placeholder="s1234567"
+                required
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <div>
+              <label className="block text-gray-700 font-medium mb-2" htmlFor="token">
+                API Token *
+              </label>
+              <textarea
+                id="token"
+                rows="3"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+                value={token}
+                onChange={handleTokenChange}
+                placeholder="Paste your JWT token here"
+                required
+                disabled={isSubmitting}
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end mt-6">
+            <button
+              type="submit"
+              className="bg-primary hover:bg-headerblue text-white font-medium py-2 px-6 rounded-lg transition duration-200"
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Signing In...' : 'Sign In'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
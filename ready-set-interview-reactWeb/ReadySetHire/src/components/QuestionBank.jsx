@@ -0,0 +1,204 @@
+import { useState, useEffect } from 'react';
+import { getBankQuestions, deleteBankQuestion } from '../app';
+
+/**
+ * Browse, search and pick questions from the reusable question bank
+ * This component lists saved bank questions with search, tag and difficulty filters
+ * and lets the recruiter add several of them to the current interview at once
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.existingQuestions - Question texts already on the interview
+ * @param {function(Array<Object>): Promise<void>} props.onAddQuestions - Adds the selected bank questions to the interview
+ * @param {function(): void} props.onClose - Closes the question bank panel
+ *
+ * @state {Array} entries - Bank questions matching the search
+ * @state {boolean} loading - Flag indicating if bank questions are loading
+ * @state {string|null} error - Error message if loading fails
+ * @state {string} search - Text to search for within bank questions
+ * @state {Array<string>} tagFilter - Tags every listed question must have
+ * @state {string} difficultyFilter - Difficulty every listed question must have (empty for all)
+ * @state {Array} selectedIds - IDs of bank questions selected for adding
+ * @state {boolean} adding - Flag indicating if selected questions are being added
+ *
+ * @returns {JSX.Element} - Question bank panel
+ */
+function QuestionBank({ existingQuestions, onAddQuestions, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [tagFilter, setTagFilter] = useState([]);
+  const [difficultyFilter, setDifficultyFilter] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [adding, setAdding] = useState(false);
+
+  // Load bank questions, waiting briefly after typing so each keystroke isn't a request
+  useEffect(() => {
+    const timeout = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const data = await getBankQuestions(search);
+        setEntries(data);
+        setError(null);
+      } catch (err) {
+        console.error("Error fetching question bank:", err);
+        setError("Failed to load the question bank. Please try again.");
+      } finally {
+        setLoading(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [search]);
+
+  const allTags = [...new Set(entries.flatMap(entry => entry.tags || []))].sort();
+  const visibleEntries = entries.filter(entry =>
+    (!difficultyFilter || entry.difficulty === difficultyFilter) &&
+    tagFilter.every(tag => (entry.tags || []).includes(tag))
+  );
+  const isOnInterview = (entry) => existingQuestions.includes(entry.question);
+
+  // Toggle a tag in the tag filter
+  const toggleTag = (tag) => {
+    setTagFilter(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]);
+  };
+
+  // Toggle a bank question in the selection
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]);
+  };
+
+  // Add every selected bank question to the interview
+  const handleAddSelected = async () => {
+    setAdding(true);
+    try {
+      await onAddQuestions(entries.filter(entry => selectedIds.includes(entry.id)));
+      setSelectedIds([]);
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  // Remove a question from the bank (questions already added to interviews are kept)
+  const handleDeleteEntry = async (entry) => {
+    if (window.confirm('Are you sure you want to remove this question from the question bank?')) {
+      try {
+        await deleteBankQuestion(entry.id);
+        setEntries(prev => prev.filter(e => e.id !== entry.id));
+        setSelectedIds(prev => prev.filter(id => id !== entry.id));
+      } catch (err) {
+        console.error("Error deleting bank question:", err);
+        alert("Failed to remove question from the bank. Please try again.");
+      }
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">Question Bank</h2>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700 font-medium">
+          Close
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col md:flex-row gap-3 mb-3">
+        <input
+          type="text"
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          value={search}
+          onChange={(event) => setSearch(event.target.value)}
+          placeholder="Search saved questions"
+        />
+        <select
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+          value={difficultyFilter}
+          onChange={(event) => setDifficultyFilter(event.target.value)}
+        >
+          <option value="">All difficulties</option>
+          <option value="Easy">Easy</option>
+          <option value="Intermediate">Intermediate</option>
+          <option value="Advanced">Advanced</option>
+        </select>
+      </div>
+
+      {allTags.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {allTags.map(tag => (
+            <button
+              key={tag}
+              onClick={() => toggleTag(tag)}
+              className={`px-3 py-1 rounded-lg text-xs font-medium border ${
+                tagFilter.includes(tag) ? 'bg-headerblue text-white border-headerblue' : 'bg-gray-50 text-gray-700 border-gray-200'
+              }`}
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Bank Questions */}
+      {loading ? (
+        <p className="text-gray-500 py-4">Loading question bank...</p>
+      ) : error ? (
+        <p className="text-red-500 py-4">{error}</p>
+      ) : visibleEntries.length === 0 ? (
+        <p className="text-gray-500 py-4">
+          {entries.length === 0 ? 'No questions saved yet. Use "Save to Bank" on any question to reuse it later.' : 'No saved questions match these filters.'}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-96 overflow-y-auto">
+          {visibleEntries.map(entry => (
+            <li key={entry.id} className="flex items-start gap-3 px-4 py-3 hover:bg-gray-50">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={selectedIds.includes(entry.id)}
+                onChange={() => toggleSelected(entry.id)}
+                disabled={isOnInterview(entry)}
+              />
+              <div className="flex-1">
+                <p className="text-sm font-medium text-gray-900">{entry.question}</p>
+                <div className="flex flex-wrap items-center gap-2 mt-1">
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-lg
+                    ${entry.difficulty === 'Easy' ? 'bg-green-100 text-green-800 border border-green-200' :
+                      entry.difficulty === 'Intermediate' ? 'bg-yellow-100 text-yellow-800 border border-yellow-200' :
+                      'bg-red-100 text-red-800 border border-red-200'}`}>
+                    {entry.difficulty}
+                  </span>
+                  {(entry.tags || []).map(tag => (
+                    <span key={tag} className="text-xs text-gray-500">#{tag}</span>
+                  ))}
+                  {isOnInterview(entry) && (
+                    <span className="text-xs text-green-700">Already on this interview</span>
+                  )}
+                </div>
+              </div>
+              <button
+                onClick={() => handleDeleteEntry(entry)}
+                className="text-red-600 hover:text-red-800 text-sm font-medium"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex justify-end mt-4">
+        <button
+          onClick={handleAddSelected}
+          disabled={selectedIds.length === 0 || adding}
+          className="bg-primary hover:bg-headerblue disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-lg transition duration-200"
+        >
+          {adding ? 'Adding...' : `Add Selected to Interview (${selectedIds.length})`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default QuestionBank;
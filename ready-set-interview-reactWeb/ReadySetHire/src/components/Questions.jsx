@@ -1,60 +1,33 @@
-import { useState, useEffect } from 'react';
-import { getQuestionsByInterview, deleteQuestion, createQuestion } from '../app'; 
+import { useState, useEffect, useRef } from 'react';
+import { getQuestionsByInterview, deleteQuestion, createQuestion, createQuestions, getInterview, reorderQuestions, createBankQuestion } from '../app'; 
+import { streamQuestions, regenerateQuestion, adjustQuestionDifficulty, rephraseQuestion, refineQuestion } from '../llm';
 import { useLocation, useNavigate } from 'react-router-dom';
-import { z } from 'zod';
+import QuestionBank from './QuestionBank';
+import ExportButtons from './ExportButtons';
 
-// Zod schema for client-side validation, defines expected structure to be returned by API
-const QuestionSchema = z.object({
-  questions: z.array(z.object({
-    question: z.string(),
-    difficulty: z.enum(["Easy", "Intermediate", "Advanced"])
-  })).nonempty(),
-});
+// Difficulty levels offered in the generation options, with the default mix of 10 questions
+const DIFFICULTY_LEVELS = ['Easy', 'Intermediate', 'Advanced'];
+const DEFAULT_DIFFICULTY_MIX = { Easy: 3, Intermediate: 3, Advanced: 4 };
 
-// Promise cache keyed by job role to avoid redundant API calls
-const questionPromiseCache = new Map();
+// Cache of completed generations keyed by the generation options to avoid redundant API calls
+const questionCache = new Map();
 
-/**
- * Fetch AI-generated questions from the LLM server
- * @param {string} job_role - The job role to generate questions for
- * @returns {Promise<Array>} - Array of validated question objects
- * @throws {Error} - When API request fails or response validation fails
- */
-function fetchAIQuestions(job_role) {
-  return fetch("http://localhost:3001/api/generate-question", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ job_role }),
-  }).then(async (res) => {
-    if (!res.ok) {
-      const msg = await res.text().catch(() => "");
-      throw new Error(msg || "Failed to generate questions");
-    }
-    const data = await res.json();
-    const parsed = QuestionSchema.safeParse(data);
-    if (!parsed.success) {
-      throw new Error("Questions did not match expected schema");
-    }
-    return parsed.data.questions;
-  });
-}
+// Counter for the local IDs that keep an AI suggestion identifiable while others are added, revised or removed
+let nextSuggestionId = 1;
 
 /**
- * Get or create a cached promise for AI questions generation
- * @param {string} job_role - The job role to generate questions for
- * @returns {Promise} - Cached promise for the question generation request
+ * Give an AI suggestion a local ID
+ * @param {Object} question - Suggested question (question, difficulty)
+ * @returns {Object} - The suggestion with a unique suggestionId
  */
-function getQuestionPromise(job_role) {
-  if (!questionPromiseCache.has(job_role)) {
-    questionPromiseCache.set(job_role, fetchAIQuestions(job_role));
-  }
-  return questionPromiseCache.get(job_role);
+function withSuggestionId(question) {
+  return { ...question, suggestionId: nextSuggestionId++ };
 }
 
 /**
  * Display and manage questions for a specific interview with AI integration
  * This component shows manually created questions and provides AI-generated suggestions
- * based on the interview's job role
+ * based on the interview's job role. The questions can be exported as CSV or JSON
  * 
  * @component
  * @param {Object} location - React Router location object containing state
@@ -62,12 +35,23 @@ function getQuestionPromise(job_role) {
  * @param {string} location.state.interviewTitle - Title of the associated interview
  * @param {string} location.state.interviewJobRole - Job role from interviews to be parsed into AI for question generation
  * 
+ * @state {Object|null} interview - Interview data object, for the job role and description
  * @state {Array} questions - List of manually created question objects
  * @state {Array} aiQuestions - List of AI-generated question suggestions
  * @state {boolean} loading - Flag indicating if manual questions are loading
  * @state {string|null} error - Error message for manual questions loading
- * @state {boolean} generating - Flag indicating if AI questions are being generated
+ * @state {boolean} generating - Flag indicating if AI questions are being generated (streamed in one by one)
  * @state {string|null} generationError - Error message for AI generation process
+ * @state {Object} difficultyMix - Number of questions to generate per difficulty level
+ * @state {string} focusAreas - Comma-separated skills or topics for the AI to focus on
+ * @state {boolean} includeDescription - Whether to send the interview description to the AI
+ * @state {boolean} avoidExisting - Whether to ask the AI to avoid questions already on the interview
+ * @state {string|null} draggedQuestionId - ID of the question being dragged to a new position
+ * @state {boolean} savingOrder - Flag indicating if the new question order is being saved
+ * @state {boolean} showBank - Whether the question bank panel is open
+ * @state {Object} revising - IDs of AI suggestions currently being revised
+ * @state {number|null} refiningId - ID of the AI suggestion with the refine instruction box open
+ * @state {string} refineInstruction - Free-text instruction for refining a suggestion
  * 
  * @returns {JSX.Element} - Rendered questions management interface with AI integration
  */
@@ -77,14 +61,29 @@ function Questions() {
 
   const interviewId = location.state?.interviewId;
   const interviewTitle = location.state?.interviewTitle;
-  const interviewJobRole = location.state?.interviewJobRole; 
 
+  const [interview, setInterview] = useState(null);
   const [questions, setQuestions] = useState([]);
   const [aiQuestions, setAiQuestions] = useState([]); 
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [generating, setGenerating] = useState(false);
   const [generationError, setGenerationError] = useState(null);
+  const [difficultyMix, setDifficultyMix] = useState(DEFAULT_DIFFICULTY_MIX);
+  const [focusAreas, setFocusAreas] = useState('');
+  const [includeDescription, setIncludeDescription] = useState(true);
+  const [avoidExisting, setAvoidExisting] = useState(true);
+  const [draggedQuestionId, setDraggedQuestionId] = useState(null);
+  const [savingOrder, setSavingOrder] = useState(false);
+  const [showBank, setShowBank] = useState(false);
+  const [revising, setRevising] = useState({});
+  const [refiningId, setRefiningId] = useState(null);
+  const [refineInstruction, setRefineInstruction] = useState('');
+  const generationController = useRef(null);
+
+  // Prefer the loaded interview, navigation state may not carry the job role
+  const interviewJobRole = interview?.job_role || location.state?.interviewJobRole;
+  const totalQuestions = DIFFICULTY_LEVELS.reduce((total, level) => total + difficultyMix[level], 0);
 
   // Load questions from API when component mounts
   useEffect(() => {
@@ -96,8 +95,12 @@ function Questions() {
       }
 
       try {
-        const data = await getQuestionsByInterview(interviewId);
+        const [data, interviewData] = await Promise.all([
+          getQuestionsByInterview(interviewId),
+          getInterview(interviewId),
+        ]);
         setQuestions(data);
+        setInterview(interviewData[0] || null);
       } catch (err) {
         setError("Failed to load questions. Please try again.");
       } finally {
@@ -108,33 +111,123 @@ function Questions() {
     fetchQuestions();
   }, [interviewId]);
 
-  // Generate AI questions
-  const generateAIQuestions = async () => {
+  // Stop any question stream still running when leaving the page
+  useEffect(() => {
+    return () => generationController.current?.abort();
+  }, []);
+
+  // Options shared by generation and per-suggestion revisions
+  const getGenerationContext = () => ({
+    job_role: interviewJobRole,
+    description: includeDescription && interview?.description ? interview.description : undefined,
+    focus_areas: focusAreas.split(',').map(area => area.trim()).filter(Boolean),
+  });
+
+  // Generate AI questions, reusing a cached set for the same options unless a fresh set is requested
+  const generateAIQuestions = async ({ fresh = false } = {}) => {
     if (!interviewJobRole) {
       setGenerationError("Please add a job role to the interview first");
       return;
     }
 
-    setGenerating(true);
+    if (totalQuestions < 1 || totalQuestions > 20) {
+      setGenerationError("Please choose between 1 and 20 questions to generate");
+      return;
+    }
+
+    const options = {
+      ...getGenerationContext(),
+      difficulty_mix: difficultyMix,
+      existing_questions: avoidExisting ? questions.map(q => q.question) : [],
+    };
+    const cacheKey = JSON.stringify(options);
+
     setGenerationError(null);
+    setRefiningId(null);
+
+    if (!fresh && questionCache.has(cacheKey)) {
+      setAiQuestions(questionCache.get(cacheKey).map(withSuggestionId));
+      return;
+    }
+
+    // Fill the suggestions table progressively as questions stream in
+    const controller = new AbortController();
+    generationController.current = controller;
+    setGenerating(true);
+    setAiQuestions([]);
     
     try {
-      const aiQuestions = await getQuestionPromise(interviewJobRole);
-      setAiQuestions(aiQuestions);
+      const generated = await streamQuestions(options, {
+        signal: controller.signal,
+        onQuestion: (question) => setAiQuestions(prev => [...prev, withSuggestionId(question)]),
+      });
+      questionCache.set(cacheKey, generated);
     } catch (err) {
-      setGenerationError(err.message || "Failed to generate questions");
+      if (err.name !== 'AbortError') {
+        setGenerationError(err.message || "Failed to generate questions");
+      }
     } finally {
+      generationController.current = null;
       setGenerating(false);
     }
   };
 
+  // Cancel the question stream, keeping the questions received so far
+  const cancelGeneration = () => {
+    generationController.current?.abort();
+  };
+
+  // Revise one AI suggestion in place, avoiding the interview's questions and the other suggestions
+  const reviseSuggestion = async (suggestion, revise, extra = {}) => {
+    const { suggestionId } = suggestion;
+    setRevising(prev => ({ ...prev, [suggestionId]: true }));
+    setGenerationError(null);
+
+    try {
+      const revised = await revise({
+        ...getGenerationContext(),
+        question: suggestion.question,
+        difficulty: suggestion.difficulty,
+        existing_questions: [
+          ...questions.map(q => q.question),
+          ...aiQuestions.filter(q => q.suggestionId !== suggestionId).map(q => q.question),
+        ],
+        ...extra,
+      });
+      setAiQuestions(prev => prev.map(q => (q.suggestionId === suggestionId ? { ...revised, suggestionId } : q)));
+    } catch (err) {
+      setGenerationError(err.message || "Failed to revise question");
+    } finally {
+      setRevising(prev => ({ ...prev, [suggestionId]: false }));
+    }
+  };
+
+  // Open the refine instruction box for a suggestion
+  const openRefine = (suggestionId) => {
+    setRefiningId(suggestionId);
+    setRefineInstruction('');
+  };
+
+  // Refine a suggestion with the recruiter's instruction
+  const submitRefine = async (event, suggestion) => {
+    event.preventDefault();
+    if (!refineInstruction.trim()) return;
+    setRefiningId(null);
+    await reviseSuggestion(suggestion, refineQuestion, { instruction: refineInstruction.trim() });
+  };
+
+  // Handle difficulty mix changes, keeping counts whole and non-negative
+  const handleDifficultyMixChange = (level, value) => {
+    setDifficultyMix(prev => ({ ...prev, [level]: Math.max(0, parseInt(value) || 0) }));
+  };
+
   // Add AI question to interview
-  const addAIQuestion = async (questionText, difficulty) => {
+  const addAIQuestion = async ({ suggestionId, question, difficulty }) => {
     try {
       const questionData = {
         interview_id: interviewId,
-        question: questionText,
-        difficulty: difficulty,
+        question,
+        difficulty,
       };
 
       await createQuestion(questionData);
@@ -144,13 +237,47 @@ function Questions() {
       setQuestions(updatedQuestions);
       
       // Remove the added question from AI suggestions
-      setAiQuestions(prev => prev.filter(q => q.question !== questionText));
+      setAiQuestions(prev => prev.filter(q => q.suggestionId !== suggestionId));
       
     } catch (err) {
       alert("Failed to add question. Please try again.");
     }
   };
 
+  // Save a question to the question bank with optional comma-separated tags
+  const saveToBank = async (questionText, difficulty) => {
+    const tagInput = window.prompt('Tags for this question (comma-separated, optional):', '');
+    if (tagInput === null) return;
+
+    try {
+      await createBankQuestion({
+        question: questionText,
+        difficulty: difficulty,
+        tags: tagInput.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean),
+      });
+      alert('Question saved to the question bank');
+    } catch (err) {
+      console.error("Error saving to question bank:", err);
+      alert("Failed to save question to the bank. Please try again.");
+    }
+  };
+
+  // Add the selected bank questions to this interview in one request
+  const addBankQuestions = async (entries) => {
+    try {
+      await createQuestions(entries.map(entry => ({
+        interview_id: interviewId,
+        question: entry.question,
+        difficulty: entry.difficulty,
+      })));
+      const updatedQuestions = await getQuestionsByInterview(interviewId);
+      setQuestions(updatedQuestions);
+    } catch (err) {
+      console.error("Error adding bank questions:", err);
+      alert("Failed to add questions from the bank. Please try again.");
+    }
+  };
+
   // Adds Questions via sending params to API as 'POST'
   const handleAddQuestion = () => {
     navigate('/AddQuestions', { 
@@ -188,6 +315,41 @@ function Questions() {
     }
   };
 
+  // Move the dragged question to the position of the row it was dropped on and persist the order
+  const handleDropQuestion = async (targetId) => {
+    const fromIndex = questions.findIndex(q => q.id === draggedQuestionId);
+    const toIndex = questions.findIndex(q => q.id === targetId);
+    setDraggedQuestionId(null);
+    if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return;
+
+    const previousOrder = questions;
+    const reordered = [...questions];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+    setQuestions(reordered.map((q, index) => ({ ...q, position: index + 1 })));
+
+    setSavingOrder(true);
+    try {
+      await reorderQuestions(reordered.map(q => q.id));
+    } catch (err) {
+      console.error("Error saving question order:", err);
+      setQuestions(previousOrder);
+      alert("Failed to save the question order. Please try again.");
+    } finally {
+      setSavingOrder(false);
+    }
+  };
+
+  // Questions in interview order, for export
+  const getQuestionRecords = () => questions.map((question, index) => ({
+    position: index + 1,
+    id: question.id,
+    question: question.question,
+    difficulty: question.difficulty,
+    time_limit_seconds: question.time_limit_seconds ?? null,
+    rubric: question.rubric ?? null,
+  }));
+
   // Navigates back to the interview interface
   const handleBackToInterviews = () => {
     navigate('/interviews');
@@ -226,12 +388,27 @@ function Questions() {
               {questions.length === 0 
                 ? 'Questions: 0' 
                 : `Created Questions: ${questions.length}`}
+              {savingOrder && <span className="text-gray-500 ml-2">(Saving order...)</span>}
             </p>
           )}
+          {questions.length > 1 && (
+            <p className="text-gray-500 text-sm mt-1">Drag questions to set the order applicants will answer them in.</p>
+          )}
         </div>
 
         {/* Add Question Button */}
-        <div className="mb-6 flex justify-end">
+        <div className="mb-6 flex flex-wrap justify-end gap-3">
+          <ExportButtons
+            getRecords={getQuestionRecords}
+            fileName={`${interviewTitle || 'interview'} questions`}
+            disabled={loading || questions.length === 0}
+          />
+          <button
+            onClick={() => setShowBank(prev => !prev)}
+            className="flex items-center bg-white hover:bg-gray-50 text-primary border border-primary font-medium py-2 px-4 rounded-lg transition duration-200"
+          >
+            {showBank ? 'Hide Question Bank' : 'Question Bank'}
+          </button>
           <button
             onClick={handleAddQuestion}
             className="flex items-center bg-primary hover:bg-headerblue text-white font-medium py-2 px-4 rounded-lg transition duration-200"
@@ -245,12 +422,22 @@ function Questions() {
 
         {/* Two column-stacked containers */}
         <div className="flex flex-col lg:flex-col gap-6">
+          {showBank && (
+            <QuestionBank
+              existingQuestions={questions.map(q => q.question)}
+              onAddQuestions={addBankQuestions}
+              onClose={() => setShowBank(false)}
+            />
+          )}
           
           {/* Questions Table */}
           <div className="bg-white rounded-lg shadow-md overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
+                <th scope="col" className="px-4 py-3 text-left text-sm font-medium text-gray-500 uppercase tracking-wider">
+                  Order
+                </th>
                 <th scope="col" className="px-6 py-3 text-left text-sm font-medium text-gray-500 uppercase tracking-wider">
                   Questions
                 </th>
@@ -265,19 +452,35 @@ function Questions() {
             <tbody className="bg-white divide-y divide-gray-200">
               {loading ? (
                 <tr>
-                  <td colSpan="3" className="px-6 py-8 text-center text-gray-500">
+                  <td colSpan="4" className="px-6 py-8 text-center text-gray-500">
                     Loading...
                   </td>
                 </tr>
               ) : questions.length === 0 ? (
                 <tr>
-                  <td colSpan="3" className="px-6 py-8 text-center text-gray-500">
+                  <td colSpan="4" className="px-6 py-8 text-center text-gray-500">
                     No questions made yet for interview: {interviewTitle}. <br></br> Click "Add Question" to get started.
                   </td>
                 </tr>
               ) : (
-                questions.map((question) => (
-                  <tr key={question.id} className="hover:bg-gray-50">
+                questions.map((question, index) => (
+                  <tr
+                    key={question.id}
+                    draggable={!savingOrder}
+                    onDragStart={() => setDraggedQuestionId(question.id)}
+                    onDragOver={(event) => event.preventDefault()}
+                    onDrop={() => handleDropQuestion(question.id)}
+                    onDragEnd={() => setDraggedQuestionId(null)}
+                    className={`hover:bg-gray-50 ${draggedQuestionId === question.id ? 'opacity-50' : ''}`}
+                  >
+                    <td className="px-4 py-4 whitespace-nowrap cursor-move text-gray-500" title="Drag to reorder">
+                      <div className="flex items-center gap-2 text-sm">
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 8h16M4 16h16" />
+                        </svg>
+                        {index + 1}
+                      </div>
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm font-medium text-gray-900">{question.question}</div>
                     </td>
@@ -299,6 +502,11 @@ function Questions() {
                           </svg>
                           Edit
                         </button>
+                        <button 
+                          onClick={() => saveToBank(question.question, question.difficulty)}
+                          className="flex items-center justify-center text-primary hover:text-headerblue text-sm font-medium">
+                          Save to Bank
+                        </button>
                         <button 
                           onClick={() => handleDeleteQuestion(question.id)}
                           className="flex items-center justify-center text-red-600 hover:text-red-800 text-sm font-medium"
@@ -324,13 +532,91 @@ function Questions() {
           
           {/* AI Generation Section */}
           <div className="flex flex-col bg-white rounded-lg shadow-md px-4">
-            <button 
-              onClick={generateAIQuestions}
-              disabled={generating || !interviewJobRole}
-              className="bg-primary hover:bg-headerblue text-white font-medium py-2 px-4 rounded-lg transition duration-200 mb-4"
-            >
-              {generating ? 'Generating Questions...' : 'Generate Interview Questions'}
-            </button>
+            {/* Generation Options */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 py-4">
+              <div>
+                <p className="block text-gray-700 font-medium mb-2">Questions per difficulty (Total: {totalQuestions})</p>
+                <div className="flex gap-3">
+                  {DIFFICULTY_LEVELS.map(level => (
+                    <label key={level} className="flex flex-col text-sm text-gray-600" htmlFor={`mix-${level}`}>
+                      {level}
+                      <input
+                        id={`mix-${level}`}
+                        type="number"
+                        min="0"
+                        max="20"
+                        className="w-24 px-3 py-1 border border-gray-300 rounded-lg"
+                        value={difficultyMix[level]}
+                        onChange={(event) => handleDifficultyMixChange(level, event.target.value)}
+                        disabled={generating}
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-gray-700 font-medium mb-2" htmlFor="focusAreas">
+                  Focus areas
+                </label>
+                <input
+                  id="focusAreas"
+                  type="text"
+                  className="w-full px-3 py-1 border border-gray-300 rounded-lg"
+                  value={focusAreas}
+                  onChange={(event) => setFocusAreas(event.target.value)}
+                  placeholder="React, accessibility, teamwork"
+                  disabled={generating}
+                />
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={includeDescription}
+                  onChange={(event) => setIncludeDescription(event.target.checked)}
+                  disabled={generating || !interview?.description}
+                />
+                Use the interview description
+              </label>
+
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={avoidExisting}
+                  onChange={(event) => setAvoidExisting(event.target.checked)}
+                  disabled={generating}
+                />
+                Avoid questions already on this interview
+              </label>
+            </div>
+
+            <div className="flex gap-3 mb-4">
+              <button 
+                onClick={() => generateAIQuestions()}
+                disabled={generating || !interviewJobRole}
+                className="flex-1 bg-primary hover:bg-headerblue text-white font-medium py-2 px-4 rounded-lg transition duration-200"
+              >
+                {generating ? `Generating Questions... (${aiQuestions.length}/${totalQuestions})` : 'Generate Interview Questions'}
+              </button>
+              {!generating && aiQuestions.length > 0 && (
+                <button
+                  onClick={() => generateAIQuestions({ fresh: true })}
+                  disabled={!interviewJobRole}
+                  className="bg-white hover:bg-gray-50 text-primary border border-primary font-medium py-2 px-4 rounded-lg transition duration-200"
+                >
+                  Generate Fresh Set
+                </button>
+              )}
+              {generating && (
+                <button
+                  onClick={cancelGeneration}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-medium py-2 px-4 rounded-lg transition duration-200"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
             
             {generationError && (
               <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4">
@@ -354,13 +640,36 @@ function Questions() {
                     <th scope="col" className="px-4 py-3 text-left text-sm font-medium text-gray-500 uppercase">
                       Quick Add
                     </th>
+                    <th scope="col" className="px-4 py-3 text-left text-sm font-medium text-gray-500 uppercase">
+                      Revise
+                    </th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
-                  {aiQuestions.map((question, index) => (
-                    <tr key={index} className="hover:bg-gray-50">
+                  {aiQuestions.map(question => (
+                    <tr key={question.suggestionId} className="hover:bg-gray-50">
                       <td className="px-6 py-4 whitespace-normal">
-                        <div className="text-sm font-medium text-gray-900">{question.question}</div>
+                        <div className={`text-sm font-medium ${revising[question.suggestionId] ? 'text-gray-400' : 'text-gray-900'}`}>
+                          {revising[question.suggestionId] ? 'Revising question...' : question.question}
+                        </div>
+                        {refiningId === question.suggestionId && (
+                          <form onSubmit={(event) => submitRefine(event, question)} className="flex gap-2 mt-2">
+                            <input
+                              type="text"
+                              autoFocus
+                              className="flex-1 px-3 py-1 border border-gray-300 rounded-lg text-sm"
+                              value={refineInstruction}
+                              onChange={(event) => setRefineInstruction(event.target.value)}
+                              placeholder="e.g. Ask about testing React hooks instead"
+                            />
+                            <button type="submit" className="text-primary hover:text-headerblue text-sm font-medium">
+                              Apply
+                            </button>
+                            <button type="button" onClick={() => setRefiningId(null)} className="text-gray-500 hover:text-gray-700 text-sm">
+                              Cancel
+                            </button>
+                          </form>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span className={`px-3 py-1 inline-flex text-xs leading-5 font-semibold rounded-lg
@@ -373,13 +682,59 @@ function Questions() {
                       <td className="px-1 py-4 whitespace-nowrap text-sm font-medium">
                         <div className="flex space-x-8 px-3">
                           <button 
-                            onClick={() => addAIQuestion(question.question, question.difficulty)}
+                            onClick={() => addAIQuestion(question)}
+                            disabled={revising[question.suggestionId]}
                             className="flex items-center justify-center text-primary hover:text-headerblue text-sm">
                             <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
                             </svg>
                             Add Question
                           </button>
+                          <button 
+                            onClick={() => saveToBank(question.question, question.difficulty)}
+                            disabled={revising[question.suggestionId]}
+                            className="flex items-center justify-center text-primary hover:text-headerblue text-sm">
+                            Save to Bank
+                          </button>
+                        </div>
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm">
+                        <div className="flex flex-wrap gap-x-3 gap-y-1 text-gray-600">
+                          <button
+                            onClick={() => reviseSuggestion(question, regenerateQuestion)}
+                            disabled={generating || revising[question.suggestionId]}
+                            className="hover:text-gray-900 disabled:text-gray-300"
+                          >
+                            Regenerate
+                          </button>
+                          <button
+                            onClick={() => reviseSuggestion(question, adjustQuestionDifficulty, { direction: 'harder' })}
+                            disabled={generating || revising[question.suggestionId]}
+                            className="hover:text-gray-900 disabled:text-gray-300"
+                          >
+                            Harder
+                          </button>
+                          <button
+                            onClick={() => reviseSuggestion(question, adjustQuestionDifficulty, { direction: 'easier' })}
+                            disabled={generating || revising[question.suggestionId]}
+                            className="hover:text-gray-900 disabled:text-gray-300"
+                          >
+                            Easier
+                          </button>
+                          <button
+                            onClick={() => reviseSuggestion(question, rephraseQuestion)}
+                            disabled={generating || revising[question.suggestionId]}
+                            className="hover:text-gray-900 disabled:text-gray-300"
+                          >
+                            Rephrase
+                          </button>
+                          <button
+                            onClick={() => openRefine(question.suggestionId)}
+                            disabled={generating || revising[question.suggestionId]}
+                            className="hover:text-gray-900 disabled:text-gray-300"
+                          >
+                            Refine...
+                          </button>
                         </div>
                       </td>
                     </tr>
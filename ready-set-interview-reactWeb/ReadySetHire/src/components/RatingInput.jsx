@@ -0,0 +1,36 @@
+/**
+ * Row of 1 to 5 rating buttons
+ * Clicking the current rating again clears it.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {number|null} props.value - Current rating, null when unrated
+ * @param {function(number|null): void} props.onChange - Called with the new rating
+ * @param {string} props.label - Accessible name for the rating, e.g. "Overall rating"
+ * @param {boolean} [props.disabled=false] - Disables the buttons while a rating is saving
+ *
+ * @returns {JSX.Element} - Rating buttons
+ */
+function RatingInput({ value, onChange, label, disabled = false }) {
+  return (
+    <div role="group" aria-label={label} className="flex gap-1">
+      {[1, 2, 3, 4, 5].map(rating => (
+        <button
+          key={rating}
+          type="button"
+          aria-pressed={value === rating}
+          onClick={() => onChange(value === rating ? null : rating)}
+          disabled={disabled}
+          className={`w-8 h-8 rounded-lg text-sm font-semibold border transition duration-200
+            ${value != null && rating <= value
+              ? 'bg-headerblue text-white border-headerblue'
+              : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-100'}`}
+        >
+          {rating}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default RatingInput;
@@ -0,0 +1,37 @@
+import { useEffect } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { AUTH_EXPIRED_EVENT, isAuthenticated } from '../app.js';
+
+/**
+ * Route guard for recruiter pages
+ * Redirects to the login page when there is no valid session, and again
+ * whenever the API reports that the stored token has expired
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {JSX.Element} props.children - Page content to render when signed in
+ *
+ * @returns {JSX.Element} - The protected page, or a redirect to the login page
+ */
+function RequireAuth({ children }) {
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Send the recruiter back to login when a request is rejected with 401
+  useEffect(() => {
+    const handleExpired = () => {
+      navigate('/login', { replace: true, state: { from: location, expired: true } });
+    };
+
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, [navigate, location]);
+
+  if (!isAuthenticated()) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return children;
+}
+
+export default RequireAuth;
@@ -1,54 +1,52 @@
-import { useParams, Outlet } from 'react-router-dom';
+import { useParams, useLocation, Outlet } from 'react-router-dom';
 import { useState, useEffect } from 'react';
-import { getInterview, getApplicant, getQuestionsByInterview } from '../app';
+import { getLinkInterview, completeLinkInterview, hasFinishedInterview } from '../app';
 import Header from './Header';
 
 /**
  * Layout component for the interview taking interface
- * This component serves as a wrapper that loads interview, applicant, and question data
- * and provides this context to nested routes via React Router Outlet
+ * This component serves as a wrapper that resolves the candidate's link token to their applicant and interview,
+ * loads interview, applicant, question and submitted answer data
+ * and provides this context to nested routes via React Router Outlet, so an interrupted interview can resume.
+ * Applicants who have completed the interview cannot open it again until a recruiter resets them.
+ * The link is checked by the server, which refuses revoked, expired or used single-use links.
  * 
  * @component
  * @param {Object} useParams - React Router hook for URL parameters
- * @param {string} useParams.applicantId - ID of the applicant from URL parameters
- * @param {string} useParams.interviewId - ID of the interview from URL parameters
+ * @param {string} useParams.token - Interview link token from URL parameters
  * 
  * @state {Object|null} interview - Interview data object
  * @state {Object|null} applicant - Applicant data object
  * @state {Array} questions - List of questions for the interview
+ * @state {Array} answers - Answers the applicant has already submitted
  * @state {boolean} loading - Flag indicating if data is currently loading
  * @state {string|null} error - Error message if data loading fails
  * 
  * @returns {JSX.Element} - Layout component with header and outlet for interview content
  */
 function TakeInterviewLayout() {
-  const { applicantId, interviewId } = useParams();
+  const { token } = useParams();
+  const location = useLocation();
   const [interview, setInterview] = useState(null);
   const [applicant, setApplicant] = useState(null);
   const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Fetch interview, applicant, and question data when component mounts
+  // Resolve the link, then fetch interview, applicant, and question data when component mounts
   useEffect(() => {
     const fetchData = async () => {
       try {
         setLoading(true);
         setError(null);
-        
-        const [interviewResponse, applicantResponse, questionsResponse] = await Promise.all([
-          getInterview(interviewId),
-          getApplicant(applicantId),
-          getQuestionsByInterview(interviewId)
-        ]);
-        
-        // Extract objects from arrays
-        const interviewData = interviewResponse[0];
-        const applicantData = applicantResponse[0];
-        
-        setInterview(interviewData);
-        setApplicant(applicantData);
-        setQuestions(questionsResponse || []);
+
+        const data = await getLinkInterview(token);
+
+        setInterview(data.interview);
+        setApplicant(data.applicant);
+        setQuestions(data.questions || []);
+        setAnswers(data.answers || []);
         
       } catch (error) {
         setError(error.message);
@@ -57,13 +55,24 @@ function TakeInterviewLayout() {
       }
     };
 
-    if (interviewId && applicantId) {
-      fetchData();
-    } else {
-      setError('Missing interview / applicant ID');
-      setLoading(false);
-    }
-  }, [interviewId, applicantId]);
+    fetchData();
+  }, [token]);
+
+  // Record a newly submitted answer, replacing any earlier answer to the same question
+  const recordAnswer = (answer) => {
+    setAnswers(prev => [...prev.filter(a => a.question_id !== answer.question_id), answer]);
+  };
+
+  // Keep the applicant in step with what the interview pages have saved
+  const mergeApplicant = (updates) => {
+    setApplicant(prev => ({ ...prev, ...updates }));
+  };
+
+  // Mark the interview completed, using up a single-use link
+  const finishInterview = async () => {
+    const { interview_status } = await completeLinkInterview(token);
+    mergeApplicant({ interview_status });
+  };
 
   if (loading) {
     return (
@@ -87,6 +96,11 @@ function TakeInterviewLayout() {
     );
   }
 
+  // A completed interview only shows the completion page, so answers cannot be submitted again
+  const isCompletePage = location.pathname.endsWith('/complete');
+  const isCompleted = hasFinishedInterview(applicant) && !isCompletePage;
+  const basePath = `/interview/${token}`;
+
   // Renders main layout with header and provides context to nested routes via outlet
   return (
     <>
@@ -96,7 +110,21 @@ function TakeInterviewLayout() {
         showInterviewsButton={false} 
       />
       <main className="flex-grow">
-        <Outlet context={{ interview, applicant, questions }} />
+        {isCompleted ? (
+          <div className="min-h-screen bg-gray-50 py-8">
+            <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+              <div className="bg-white rounded-lg shadow-md p-8 text-center">
+                <h1 className="text-2xl font-bold text-gray-800 mb-4">Interview Already Completed</h1>
+                <p className="text-gray-600">
+                  You have already completed the interview for {interview.title} and your responses have been recorded.
+                  Please contact the recruiter if you need to retake it.
+                </p>
+              </div>
+            </div>
+          </div>
+        ) : (
+          <Outlet context={{ interview, applicant, questions, answers, token, basePath, recordAnswer, mergeApplicant, finishInterview }} />
+        )}
       </main>
     </>
   );
@@ -1,33 +1,74 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate, useOutletContext } from 'react-router-dom';
-import { submitApplicantAnswer, updateApplicantStatus } from '../app';
+import { openLinkQuestion, submitLinkAnswer } from '../app';
 import SpeechRecognition, { useSpeechRecognition } from 'react-speech-recognition';
+import { formatDuration } from '../format';
+
+/**
+ * Local storage key for an applicant's progress on a question
+ * @param {string} name - What is stored ('draft' for the unsubmitted answer, 'started' for when answering time starts)
+ * @param {string} applicantId - Applicant ID
+ * @param {string} questionId - Question ID
+ * @returns {string} - Storage key
+ */
+function progressKey(name, applicantId, questionId) {
+  return `readysethire.${name}.${applicantId}.${questionId}`;
+}
 
 /**
  * Interview question interface with speech-to-text recording functionality
  * This component shows one question one by one, answered via audio recording with pause/continue capability,
  * answer submission, and navigation between questions.
+ * The answer in progress is kept as a local draft so it survives a refresh or lost connection.
+ * Returning to a question that was already submitted opens it with the saved answer, so Next does not overwrite it.
+ * The transcript is shown live and can be edited while paused before it is submitted.
+ * Answers can be typed instead when the candidate prefers it, the interview is set to text only,
+ * or speech recognition or the microphone is unavailable.
+ * Optional per-question and whole-interview time limits count down on screen; when either runs out,
+ * recording stops and the answer so far is submitted automatically, including when the candidate
+ * comes back after the interview's time has already run out.
+ * Opening a question tells the server, which starts the interview's clock on the first question opened, times
+ * each question from when it was first opened and refuses answers that arrive after either time limit.
+ * An optional preparation countdown shows the question before answering starts, then starts recording
+ * automatically; the candidate can start early.
  * 
  * @component
- * @state {Object} answers - Dictionary storing recorded answers by question ID
  * @state {boolean} submitting - Flag indicating if answer is being submitted
  * @state {boolean} isPaused - Controls recording pause state (starts paused)
+ * @state {string} inputMode - How the candidate chose to answer ('voice' or 'text')
+ * @state {string} editedAnswer - Answer text typed or edited by the candidate; new speech is appended to it
+ * @state {number|null} questionStartedAt - When answering the current question starts, after any preparation time (ms timestamp)
+ * @state {number} now - Current time, refreshed every second for the countdowns
+ * @state {string|null} draftQuestionId - Question whose draft has been restored, so drafts are only saved under the right question
  * 
  * @returns {JSX.Element} - Question interface with recording controls, transcript display, and navigation
  */
 function InterviewQuestion() {
-  const { interviewId, applicantId, questionId } = useParams();
+  const { questionId } = useParams();
   const navigate = useNavigate();
-  const { questions } = useOutletContext();
+  const { interview, applicant, questions, answers, token, basePath, recordAnswer, mergeApplicant, finishInterview } = useOutletContext();
+  const applicantId = applicant.id;
 
-  const [answers, setAnswers] = useState({});
   const [submitting, setSubmitting] = useState(false);
   const [isPaused, setIsPaused] = useState(true); 
+  const [inputMode, setInputMode] = useState('voice');
+  const [editedAnswer, setEditedAnswer] = useState('');
+  const [draftQuestionId, setDraftQuestionId] = useState(null);
+  const [questionStartedAt, setQuestionStartedAt] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const handleTimeUpRef = useRef(null);
+  const wasPreparingRef = useRef(false);
+  const answersRef = useRef(answers);
+  const mergeApplicantRef = useRef(mergeApplicant);
   
   // Finding current question
   const currentQuestionIndex = questions.findIndex(q => q.id === parseInt(questionId));
   const currentQuestion = questions[currentQuestionIndex];
-  const isLastQuestion = currentQuestionIndex === questions.length - 1;
+
+  // Questions still waiting for an answer after this one; the interview completes when none remain
+  const isAnswered = (question) => answers.some(a => a.question_id === question.id);
+  const unansweredQuestions = questions.filter(q => q.id !== currentQuestion?.id && !isAnswered(q));
+  const isLastQuestion = unansweredQuestions.length === 0;
   
   // React-speech-recognition hook
   const {
@@ -38,17 +79,108 @@ function InterviewQuestion() {
     isMicrophoneAvailable
   } = useSpeechRecognition();
 
-  // Initialize question changes
+  // Voice answers need browser support, microphone access and an interview that allows them
+  const voiceAllowed = interview.answer_mode !== 'Text Only';
+  const voiceAvailable = voiceAllowed && browserSupportsSpeechRecognition && isMicrophoneAvailable;
+  const isTextMode = !voiceAvailable || inputMode === 'text';
+
+  // The answer so far: the candidate's edited text followed by anything spoken since
+  const currentAnswer = transcript
+    ? [editedAnswer.trim(), transcript.trim()].filter(Boolean).join(' ')
+    : editedAnswer;
+
+  // Preparation time left before answering starts
+  const prepSecondsLeft = questionStartedAt ? (questionStartedAt - now) / 1000 : 0;
+  const isPreparing = prepSecondsLeft > 0;
+
+  // Time left on the question and on the whole interview, or null when there is no limit.
+  // Time only runs out once the question's progress is restored, so the answer submitted is the candidate's own
+  const isRestored = draftQuestionId === questionId;
+  const questionSecondsLeft = currentQuestion?.time_limit_seconds && questionStartedAt
+    ? currentQuestion.time_limit_seconds - (now - questionStartedAt) / 1000
+    : null;
+  const interviewSecondsLeft = interview.time_limit_minutes && applicant.started_at
+    ? interview.time_limit_minutes * 60 - (now - Date.parse(applicant.started_at)) / 1000
+    : null;
+  const isInterviewTimeUp = interviewSecondsLeft !== null && interviewSecondsLeft <= 0;
+  const isTimeUp = isRestored && (isInterviewTimeUp || (questionSecondsLeft !== null && questionSecondsLeft <= 0));
+
+  // Latest submitted answers and applicant updater, read when a question opens without re-running that setup after each render
+  useEffect(() => {
+    answersRef.current = answers;
+    mergeApplicantRef.current = mergeApplicant;
+  });
+
+  // Initialize question changes, restoring any unsubmitted draft (or the answer already submitted) and when answering starts (after preparation time)
   useEffect(() => {
+    const savedAnswer = answersRef.current.find(a => a.question_id === parseInt(questionId))?.answer;
     setIsPaused(true);
-    
-    // Load existing answer or reset transcript
-    if (answers[questionId]) {
-      resetTranscript();
+    setEditedAnswer(localStorage.getItem(progressKey('draft', applicantId, questionId)) || savedAnswer || '');
+    setDraftQuestionId(questionId);
+    resetTranscript();
+
+    const startedKey = progressKey('started', applicantId, questionId);
+    const startedAt = parseInt(localStorage.getItem(startedKey)) || Date.now() + (interview.preparation_seconds || 0) * 1000;
+    localStorage.setItem(startedKey, String(startedAt));
+    setQuestionStartedAt(startedAt);
+
+    // Record the question as opened. When it was first opened earlier (e.g. on another device), its time counts from then
+    let ignore = false;
+    const openQuestion = async () => {
+      try {
+        const { started_at, opened_at } = await openLinkQuestion(token, parseInt(questionId));
+        if (ignore) return;
+        mergeApplicantRef.current({ started_at });
+
+        const openedStartedAt = Date.parse(opened_at) + (interview.preparation_seconds || 0) * 1000;
+        if (openedStartedAt < startedAt) {
+          localStorage.setItem(startedKey, String(openedStartedAt));
+          setQuestionStartedAt(openedStartedAt);
+        }
+      } catch (error) {
+        console.error('Error opening question:', error);
+        window.alert('Error opening question, please reload the page.');
+      }
+    };
+    openQuestion();
+
+    return () => {
+      ignore = true;
+    };
+  }, [token, applicantId, questionId, resetTranscript, interview.preparation_seconds]);
+
+  // Tick the countdowns once a second
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Start recording automatically when preparation time ends
+  useEffect(() => {
+    if (isPreparing) {
+      wasPreparingRef.current = true;
+    } else if (wasPreparingRef.current) {
+      wasPreparingRef.current = false;
+      if (!isTextMode) {
+        setIsPaused(false);
+        SpeechRecognition.startListening({ 
+          continuous: true,
+          language: 'en-US'
+        });
+      }
+    }
+  }, [isPreparing, isTextMode]);
+
+  // Save the answer in progress as a draft
+  useEffect(() => {
+    if (!isRestored) return;
+
+    if (currentAnswer) {
+      localStorage.setItem(progressKey('draft', applicantId, questionId), currentAnswer);
     } else {
-      resetTranscript();
+      localStorage.removeItem(progressKey('draft', applicantId, questionId));
     }
-  }, [questionId, resetTranscript, answers]);
+  }, [applicantId, questionId, isRestored, currentAnswer]);
 
   // Start recording for the first time
   const handleStartRecording = () => {
@@ -59,14 +191,24 @@ function InterviewQuestion() {
     });
   };
 
+  // Skip the rest of the preparation time and start answering now
+  const handleStartNow = () => {
+    const startedAt = Date.now();
+    localStorage.setItem(progressKey('started', applicantId, questionId), String(startedAt));
+    setQuestionStartedAt(startedAt);
+    setNow(startedAt);
+  };
+
   // Pause recording
   const handlePauseRecording = () => {
     setIsPaused(true);
     SpeechRecognition.stopListening();
   };
 
-  // Continue recording after pause
+  // Continue recording after pause, keeping any edits made while paused
   const handleContinueRecording = () => {
+    setEditedAnswer(currentAnswer);
+    resetTranscript();
     setIsPaused(false);
     SpeechRecognition.startListening({ 
       continuous: true,
@@ -74,50 +216,100 @@ function InterviewQuestion() {
     });
   };
 
-  // Navigate to next question or complete interview screen
-  const goToNextQuestion = async () => {
+  // Discard the answer so far and start recording again from scratch
+  const handleClearAndRerecord = () => {
+    if (window.confirm('Are you sure you want to clear your answer and record it again?')) {
+      setEditedAnswer('');
+      resetTranscript();
+      handleStartRecording();
+    }
+  };
+
+  // Keep the candidate's edits to the transcript, which now replace what was recognised
+  const handleAnswerEdit = (event) => {
+    setEditedAnswer(event.target.value);
+    resetTranscript();
+  };
+
+  // Switch between speaking and typing, carrying over anything already recorded
+  const handleInputModeChange = (mode) => {
+    if (mode === 'text' && listening) {
+      handlePauseRecording();
+    }
+    setEditedAnswer(currentAnswer);
+    resetTranscript();
+    setInputMode(mode);
+  };
+
+  // Navigate to next question or complete interview screen, or straight to the end when the interview time is up
+  const goToNextQuestion = async ({ finish = false } = {}) => {
+    const completing = isLastQuestion || finish;
     if (listening) {
       handlePauseRecording();
     }
     
     setSubmitting(true);
     try {
-      const answerToSubmit = transcript || '';
+      const answerToSubmit = currentAnswer.trim();
 
       const answerData = {
-        interview_id: parseInt(interviewId),
         question_id: parseInt(questionId),
-        applicant_id: parseInt(applicantId),
-        answer: answerToSubmit
+        answer: answerToSubmit,
+        time_taken: questionStartedAt ? Math.round((Date.now() - questionStartedAt) / 1000) : null
       };
       
-      await submitApplicantAnswer(answerData);
-
-      setAnswers(prev => ({
-        ...prev,
-        [questionId]: answerToSubmit
-      }));
+      try {
+        const { answer: savedAnswer, interview_status } = await submitLinkAnswer(token, answerData);
+        recordAnswer(savedAnswer);
+        mergeApplicant({ interview_status });
+      } catch (error) {
+        // Refused because the time ran out before the answer arrived, so move on without it
+        if (!(isTimeUp && error.status === 409)) throw error;
+        console.error('Error saving answer after the time limit:', error);
+      }
+      localStorage.removeItem(progressKey('draft', applicantId, questionId));
+      localStorage.removeItem(progressKey('started', applicantId, questionId));
 
-      if (isLastQuestion) {
-        await updateApplicantStatus(parseInt(applicantId), 'Completed');
+      if (completing) {
+        await finishInterview();
       }
     } catch (error) {
       window.alert(`Error saving answer, please try again.`);
+      return;
     } finally {
       setSubmitting(false);
     }
 
-    if (!isLastQuestion) {
-      const nextQuestionId = questions[currentQuestionIndex + 1].id;
-      navigate(`/applicant/${applicantId}/interview/${interviewId}/question/${nextQuestionId}`);
+    // Move on to the next unanswered question, wrapping round to any that were skipped
+    const nextQuestion = unansweredQuestions.find(q => questions.indexOf(q) > currentQuestionIndex) || unansweredQuestions[0];
+
+    if (!completing) {
+      navigate(`${basePath}/question/${nextQuestion.id}`);
     } else {
-      navigate(`/applicant/${applicantId}/interview/${interviewId}/complete`);
+      navigate(`${basePath}/complete`);
     }
   };
 
+  // Called by the countdown effect, so it always submits with the latest answer.
+  // Assigned before that effect runs, so time already up when the page opens is handled too
+  useEffect(() => {
+    handleTimeUpRef.current = () => {
+      if (!submitting) {
+        goToNextQuestion({ finish: isInterviewTimeUp });
+      }
+    };
+  });
+
+  // Submit automatically once the question or interview time runs out
+  useEffect(() => {
+    if (isTimeUp) {
+      handleTimeUpRef.current?.();
+    }
+  }, [isTimeUp]);
+
   // Determine which button to show based on state
   const getRecordingButton = () => {
-    if (!listening && isPaused && !transcript) {
+    if (!listening && isPaused && !currentAnswer) {
       // Not started yet
       return (
         <button 
@@ -143,7 +335,7 @@ function InterviewQuestion() {
           Pause Recording
         </button>
       );
-    } else if (!listening && isPaused && transcript) {
+    } else if (!listening && isPaused && currentAnswer) {
       // paused but need to show continue button
       return (
         <button 
@@ -170,32 +362,6 @@ function InterviewQuestion() {
     );
   }
 
-  // Render browser compatibility error if speech recognition is unsupported
-  if (!browserSupportsSpeechRecognition) {
-    return (
-      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-        <span className="text-red-600 text-lg">Browser doesn't support speech recognition, try Chrome as per ReadMe.</span>
-      </div>
-    );
-  }
-
-  // Check if microphone is available
-  if (!isMicrophoneAvailable) {
-    return (
-      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-        <div className="text-center">
-          <span className="text-red-600 text-lg">Microphone access is blocked. Please allow microphone permissions and refresh.</span>
-          <button
-            onClick={() => window.location.reload()}
-            className="mt-4 bg-blue-500 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded block mx-auto"
-          >
-            Refresh Page
-          </button>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -204,40 +370,144 @@ function InterviewQuestion() {
           <h2 className="text-2xl font-semibold text-gray-800 mb-4 text-center">
             Question {currentQuestionIndex + 1}:
           </h2>
+          {(questionSecondsLeft !== null || interviewSecondsLeft !== null) && (
+            <div className="flex justify-center gap-6 mb-4 text-md font-medium">
+              {questionSecondsLeft !== null && !isPreparing && (
+                <span className={questionSecondsLeft <= 30 ? 'text-red-600' : 'text-gray-700'}>
+                  Time left for this answer: {formatDuration(questionSecondsLeft)}
+                </span>
+              )}
+              {interviewSecondsLeft !== null && (
+                <span className={interviewSecondsLeft <= 60 ? 'text-red-600' : 'text-gray-700'}>
+                  Interview time left: {formatDuration(interviewSecondsLeft)}
+                </span>
+              )}
+            </div>
+          )}
           <div className="border border-black bg-question-quote rounded-lg p-6 mb-6 text-center">
             <h1 className="text-xl">{currentQuestion.question}</h1>
           </div>
           
-          {/* Recording */}
-          <div className="mb-6">
-            <p className="text-lg mb-3 text-center">
-              {!transcript ? 'Click below to start recording your audio.' : 'Unpause to continue speaking.'}
-            </p>
+          {/* Answer mode */}
+          {voiceAvailable ? (
+            <div className="flex justify-center gap-2 mb-6">
+              <button
+                onClick={() => handleInputModeChange('voice')}
+                className={`px-4 py-2 rounded-lg text-sm font-medium border ${
+                  !isTextMode ? 'bg-headerblue text-white border-headerblue' : 'bg-gray-50 text-gray-700 border-gray-200 hover:bg-gray-100'
+                }`}
+              >
+                Speak Answer
+              </button>
+              <button
+                onClick={() => handleInputModeChange('text')}
+                className={`px-4 py-2 rounded-lg text-sm font-medium border ${
+                  isTextMode ? 'bg-headerblue text-white border-headerblue' : 'bg-gray-50 text-gray-700 border-gray-200 hover:bg-gray-100'
+                }`}
+              >
+                Type Answer
+              </button>
+            </div>
+          ) : voiceAllowed && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-6 text-center">
+              <p className="text-yellow-800 text-sm">
+                {!browserSupportsSpeechRecognition
+                  ? "Your browser doesn't support speech recognition, so please type your answer below."
+                  : 'Microphone access is blocked, so please type your answer below. Allow microphone permissions and refresh to answer by voice.'}
+              </p>
+            </div>
+          )}
+
+          {isPreparing ? (
+            /* Preparation time */
+            <div className="mb-6 text-center">
+              <p className="text-lg mb-2">Take a moment to prepare your answer.</p>
+              <p className="text-4xl font-bold text-headerblue mb-2">{formatDuration(prepSecondsLeft)}</p>
+              <p className="text-gray-600 mb-4">
+                {isTextMode ? 'You can start typing when the preparation time ends.' : 'Recording will start automatically when the preparation time ends.'}
+              </p>
+              <button
+                onClick={handleStartNow}
+                className="bg-green-100 text-green-800 border border-green-300 hover:bg-green-200 rounded-md py-3 px-6"
+              >
+                Start Now
+              </button>
+            </div>
+          ) : isTextMode ? (
+            /* Typed answer */
+            <div className="mb-6">
+              <label className="block text-lg mb-3 text-center" htmlFor="typed-answer">
+                Type your answer below.
+              </label>
+              <textarea
+                id="typed-answer"
+                rows="8"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                value={editedAnswer}
+                onChange={handleAnswerEdit}
+                placeholder="Your answer..."
+                disabled={submitting}
+              ></textarea>
+            </div>
+          ) : (
+            /* Recording */
+            <div className="mb-6">
+              <p className="text-lg mb-3 text-center">
+                {!currentAnswer ? 'Click below to start recording your audio.' : 'Unpause to continue speaking, or correct your answer below.'}
+              </p>
             
-            <div className="flex flex-col items-center mb-4">
-              <div className="flex items-center gap-2 mb-2">
-                <span className="text-md font-medium">
-                  Status: <span className={
-                    listening ? "text-green-600" : 
-                    isPaused && transcript ? "text-blue-600" : "text-gray-600"
-                  }>
-                    {listening ? 'Recording...' : 
-                     isPaused && transcript ? 'Paused' : 'Ready to Start'}
+              <div className="flex flex-col items-center mb-4">
+                <div className="flex items-center gap-2 mb-2">
+                  <span className="text-md font-medium">
+                    Status: <span className={
+                      listening ? "text-green-600" : 
+                      isPaused && currentAnswer ? "text-blue-600" : "text-gray-600"
+                    }>
+                      {listening ? 'Recording...' : 
+                       isPaused && currentAnswer ? 'Paused' : 'Ready to Start'}
+                    </span>
                   </span>
-                </span>
+                </div>
               </div>
-            </div>
             
-            <div className="flex justify-center gap-4 mb-6">
-              {getRecordingButton()}
-            </div>            
-          </div>
+              <div className="flex justify-center gap-4 mb-6">
+                {getRecordingButton()}
+                {!listening && isPaused && currentAnswer && (
+                  <button
+                    onClick={handleClearAndRerecord}
+                    className="flex items-center gap-2 bg-red-50 text-red-700 border border-red-200 hover:bg-red-100 rounded-md py-3 px-6"
+                  >
+                    Clear and Re-record
+                  </button>
+                )}
+              </div>
+
+              {/* Transcript, read-only while recording and editable while paused */}
+              {(listening || currentAnswer) && (
+                <div>
+                  <label className="block text-md font-medium text-gray-700 mb-2" htmlFor="transcript">
+                    Your answer{listening ? ' (pause to edit)' : ''}:
+                  </label>
+                  <textarea
+                    id="transcript"
+                    rows="8"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 read-only:bg-gray-50"
+                    value={currentAnswer}
+                    onChange={handleAnswerEdit}
+                    readOnly={listening}
+                    placeholder="Start speaking..."
+                    disabled={submitting}
+                  ></textarea>
+                </div>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Navigation button */}
         <div className="flex justify-end">
           <button
-            onClick={goToNextQuestion}
+            onClick={() => goToNextQuestion()}
             disabled={submitting}
             className="bg-primary hover:bg-headerblue disabled:bg-gray-400 text-white py-2 px-8 rounded-lg"
           >
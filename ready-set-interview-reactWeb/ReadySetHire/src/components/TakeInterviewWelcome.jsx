@@ -1,30 +1,63 @@
-import { useNavigate, useParams, useOutletContext } from 'react-router-dom';
+import { useNavigate, useOutletContext } from 'react-router-dom';
 
 /**
  * Welcome screen for interview applicants
  * This component displays interview details, applicant information, and provides
- * a starting point for the interview process with validation checks
+ * a starting point for the interview process with validation checks.
+ * An interview whose time limit ran out while the candidate was away is finished rather than resumed.
  * 
  * @component
- * @param {Object} useParams - React Router hook for URL parameters
- * @param {string} useParams.interviewId - ID of the current interview
- * @param {string} useParams.applicantId - ID of the current applicant
  * @param {Object} useOutletContext - Context from parent layout component
  * @param {Object} useOutletContext.interview - Interview data object
  * @param {Object} useOutletContext.applicant - Applicant data object
  * @param {Array} useOutletContext.questions - List of questions for this interview
+ * @param {Array} useOutletContext.answers - Answers the applicant has already submitted
+ * @param {string} useOutletContext.basePath - Path of the candidate's interview link
+ * @param {function(): Promise<void>} useOutletContext.finishInterview - Marks the interview completed
  * 
  * @returns {JSX.Element} - Welcome interface with applicant details and interview start button
  */
 function TakeInterviewWelcome() {
-  const { interviewId, applicantId } = useParams();
   const navigate = useNavigate();
-  const { interview, applicant, questions } = useOutletContext();
+  const { interview, applicant, questions, answers, basePath, finishInterview } = useOutletContext();
 
-  // Start the interview process
-  const startInterview = () => {
-    if (questions.length > 0) {
-      navigate(`/applicant/${applicantId}/interview/${interviewId}/question/${questions[0].id}`);
+  // Resume from the first question without a submitted answer
+  const answeredCount = questions.filter(q => answers.some(a => a.question_id === q.id)).length;
+  const nextQuestion = questions.find(q => !answers.some(a => a.question_id === q.id));
+
+  // The overall time limit counts from when the applicant first started
+  const deadline = interview.time_limit_minutes && applicant.started_at
+    ? Date.parse(applicant.started_at) + interview.time_limit_minutes * 60 * 1000
+    : null;
+  const isTimeUp = deadline !== null && Date.now() >= deadline;
+
+  // Start the interview process, or continue it if it was interrupted
+  const startInterview = async () => {
+    // No more answers once the time limit has run out, so finish with the answers already submitted
+    if (deadline !== null && Date.now() >= deadline) {
+      try {
+        await finishInterview();
+      } catch (error) {
+        console.error('Error finishing interview:', error);
+        window.alert('Error finishing interview, please try again.');
+        return;
+      }
+      navigate(`${basePath}/complete`);
+      return;
+    }
+
+    if (nextQuestion) {
+      navigate(`${basePath}/question/${nextQuestion.id}`);
+    } else if (questions.length > 0) {
+      // Every question is answered but the interview was never marked completed, e.g. the last step failed
+      try {
+        await finishInterview();
+      } catch (error) {
+        console.error('Error finishing interview:', error);
+        window.alert('Error finishing interview, please try again.');
+        return;
+      }
+      navigate(`${basePath}/complete`);
     }
   };
 
@@ -73,8 +106,26 @@ function TakeInterviewWelcome() {
                 disabled={questions.length === 0}
                 className="bg-primary hover:bg-headerblue text-white font-semibold py-3 px-8 rounded-lg text-lg"
               >
-                {questions.length === 0 ? 'No Questions Available' : 'Start Interview'}
+                {questions.length === 0 ? 'No Questions Available' : isTimeUp ? 'Finish Interview' : answeredCount > 0 ? 'Resume Interview' : 'Start Interview'}
               </button>
+
+              {isTimeUp ? (
+                <p className="text-red-500 mt-4">
+                  The {interview.time_limit_minutes} minute time limit for this interview has run out, so no more answers can be submitted.
+                </p>
+              ) : interview.time_limit_minutes && questions.length > 0 && (
+                <p className="text-gray-600 mt-4">
+                  {applicant.started_at
+                    ? `This interview has a ${interview.time_limit_minutes} minute time limit, counted from when you first started.`
+                    : `You will have ${interview.time_limit_minutes} minutes to complete the interview once you start.`}
+                </p>
+              )}
+
+              {answeredCount > 0 && !isTimeUp && (
+                <p className="text-gray-600 mt-4">
+                  You have already answered {answeredCount} of {questions.length} questions. You will continue from where you left off.
+                </p>
+              )}
               
               {questions.length === 0 && (
                 <p className="text-red-500 mt-4">This interview doesn't have any questions yet.</p>
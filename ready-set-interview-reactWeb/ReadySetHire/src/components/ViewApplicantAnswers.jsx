@@ -1,11 +1,26 @@
 import { useState, useEffect } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
-import { getApplicant, getInterview, getAnswersByApplicant, getQuestionsByInterview } from '../app';
+import { getApplicant, getInterview, getAnswersByApplicant, getQuestionsByInterview, updateApplicantReview, updateAnswerReview, getApplicantStage } from '../app';
+import { evaluateAnswer } from '../llm';
+import { formatDuration } from '../format';
+import { weightedRubricScore } from '../rubric';
+import { exportApplicantReportPdf } from '../pdf';
+import RatingInput from './RatingInput';
+
+// Criteria scored by the LLM server for each answer
+const EVALUATION_CRITERIA = [
+  { key: 'relevance', label: 'Relevance' },
+  { key: 'depth', label: 'Depth' },
+  { key: 'clarity', label: 'Clarity' },
+];
 
 /**
  * Display interview answers for a specific applicant
  * This component shows all questions and corresponding answers submitted by an applicant
- * for a particular interview, providing a comprehensive review interface
+ * for a particular interview, providing a comprehensive review interface where the reviewer
+ * can rate and comment on each answer, score it against the question's rubric,
+ * and give the applicant an overall rating and tags. The review can be exported as a PDF or printed,
+ * with a print layout that leaves out the page controls
  * 
  * @component
  * @param {Object} location - React Router location object containing state
@@ -18,8 +33,13 @@ import { getApplicant, getInterview, getAnswersByApplicant, getQuestionsByInterv
  * @state {Array} questions - List of questions for the interview
  * @state {Array} answers - List of answers submitted by the applicant
  * @state {boolean} loading - Flag indicating if data is currently loading
+ * @state {Object} evaluations - AI scores keyed by answer ID ({ result, error, loading })
+ * @state {boolean} evaluating - Flag indicating if answers are being scored by the LLM
+ * @state {Object} commentDrafts - Reviewer comments being edited, keyed by answer ID
+ * @state {string} newTag - Tag being typed for the applicant
+ * @state {boolean} exporting - Flag indicating if the PDF report is being generated
  * 
- * @returns {JSX.Element} - Answers review interface with question-answer pairs
+ * @returns {JSX.Element} - Answers review interface with question-answer pairs and AI scores
  */
 function ViewApplicantAnswers() {
   const location = useLocation();
@@ -30,6 +50,11 @@ function ViewApplicantAnswers() {
   const [questions, setQuestions] = useState([]);
   const [answers, setAnswers] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [evaluations, setEvaluations] = useState({});
+  const [evaluating, setEvaluating] = useState(false);
+  const [commentDrafts, setCommentDrafts] = useState({});
+  const [newTag, setNewTag] = useState('');
+  const [exporting, setExporting] = useState(false);
 
   // Navigate back to applicants list while passing attributes
   const handleBackToApplicants = () => {
@@ -70,18 +95,112 @@ function ViewApplicantAnswers() {
     fetchApplicantAnswers();
   }, [applicantId, interviewId]);
 
-  // Create mapping of question IDs to question text for easier matching later
+  // Create mapping of question IDs to questions, and to the applicant's answers, for easier matching later
   const questionMap = {};
   questions.forEach(question => {
-    questionMap[question.id] = question.question;
+    questionMap[question.id] = question;
+  });
+  const answerMap = {};
+  answers.forEach(answer => {
+    answerMap[answer.question_id] = answer;
   });
 
+  // Score a single answer with the LLM server and store the result against the answer
+  const scoreAnswer = async (answer) => {
+    const question = questionMap[answer.question_id];
+    setEvaluations(prev => ({ ...prev, [answer.id]: { loading: true } }));
+
+    try {
+      const result = await evaluateAnswer({
+        job_role: interview?.job_role,
+        question: question?.question,
+        difficulty: question?.difficulty,
+        answer: answer.answer,
+      });
+      setEvaluations(prev => ({ ...prev, [answer.id]: { result } }));
+    } catch (err) {
+      setEvaluations(prev => ({ ...prev, [answer.id]: { error: err.message || 'Failed to score answer' } }));
+    }
+  };
+
+  // Score every answered question, skipped questions have no transcript to score
+  const scoreAllAnswers = async () => {
+    setEvaluating(true);
+    await Promise.all(answers.filter(answer => answer.answer).map(scoreAnswer));
+    setEvaluating(false);
+  };
+
+  // Save the applicant's overall rating or tags
+  const saveApplicantReview = async (review) => {
+    try {
+      await updateApplicantReview(applicantId, review);
+      setApplicant(prev => ({ ...prev, ...review }));
+    } catch (err) {
+      console.error("Error saving applicant review:", err);
+      alert('Failed to save review. Please try again.');
+    }
+  };
+
+  // Add a tag to the applicant, ignoring tags they already have
+  const handleAddTag = (event) => {
+    event.preventDefault();
+    const tag = newTag.trim();
+    const tags = applicant?.tags || [];
+    if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      saveApplicantReview({ tags: [...tags, tag] });
+    }
+    setNewTag('');
+  };
+
+  const handleRemoveTag = (tag) => {
+    saveApplicantReview({ tags: applicant.tags.filter(existing => existing !== tag) });
+  };
+
+  // Save the reviewer's rating or comment for an answer
+  const saveAnswerReview = async (answer, review) => {
+    try {
+      await updateAnswerReview(answer.id, review);
+      setAnswers(prev => prev.map(a => a.id === answer.id ? { ...a, ...review } : a));
+    } catch (err) {
+      console.error("Error saving answer review:", err);
+      alert('Failed to save review. Please try again.');
+    }
+  };
+
+  // Score an answer against one of its question's rubric criteria
+  const handleRubricScoreChange = (answer, criterionName, score) => {
+    saveAnswerReview(answer, { rubric_scores: { ...answer.rubric_scores, [criterionName]: score } });
+  };
+
+  // Save an edited comment once the reviewer leaves the comment box
+  const handleCommentBlur = (answer) => {
+    const comment = commentDrafts[answer.id];
+    if (comment !== undefined && comment.trim() !== (answer.review_comment || '')) {
+      saveAnswerReview(answer, { review_comment: comment.trim() || null });
+    }
+  };
+
+  // Download the review as a PDF report for people who don't use the app
+  const handleExportPdf = async () => {
+    setExporting(true);
+    try {
+      await exportApplicantReportPdf({ interview, applicant, questions, answers, questionMap, evaluations });
+    } catch (err) {
+      console.error("Error exporting PDF:", err);
+      alert('Failed to export PDF. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   if (loading) return <div>Loading answers...</div>;
 
+  const rubricScore = weightedRubricScore(answers, questionMap);
+
   return (
-    <div className="min-h-screen bg-gray-50">
+    <div className="min-h-screen bg-gray-50 print:bg-white">
       {/* Header */}
-      <header className="bg-white shadow-sm">
+      <header className="bg-white shadow-sm print:hidden">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
           <button
             type="button"
@@ -98,17 +217,34 @@ function ViewApplicantAnswers() {
             </svg>
             <p className="text-headerblue">Back to Applicants</p>
           </button>
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => window.print()}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-2 px-4 rounded-lg transition duration-200"
+            >
+              Print
+            </button>
+            <button
+              type="button"
+              onClick={handleExportPdf}
+              disabled={exporting}
+              className="bg-primary hover:bg-headerblue disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-lg transition duration-200"
+            >
+              {exporting ? 'Exporting...' : 'Export PDF'}
+            </button>
+          </div>
         </div>
       </header>
 
       {/* Body */}
-      <div className="container mx-auto p-6 max-w-5xl">
+      <div className="container mx-auto p-6 max-w-5xl print:p-0 print:max-w-none">
         {/* Applicant Info */}
-        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8 print:shadow-none print:p-0">
           <h1 className="text-3xl font-bold mb-4">
             Interview Answers for {interviewTitle}
           </h1>
-          <div className="grid grid-cols-1 md:grid-cols-2 text-gray-600">
+          <div className="grid grid-cols-1 md:grid-cols-2 text-gray-600 mb-4">
             <div className="flex items-center gap-2">
               <span className="font-medium">
                 <p>Applicant: {applicant?.firstname} {applicant?.surname}</p>
@@ -117,38 +253,223 @@ function ViewApplicantAnswers() {
             <div className="flex items-center gap-2">
               <span className="font-medium"><p>Interview Role: {interview?.job_role}</p></span>
             </div>
+            <p>Email: {applicant?.email_address}</p>
+            {applicant?.phone_number && <p>Phone: {applicant.phone_number}</p>}
+            {applicant && <p>Stage: {getApplicantStage(applicant)}</p>}
           </div>
+          {/* Reviewer rating and tags */}
+          <div className="border-t border-gray-200 pt-4 mb-4 space-y-3">
+            {rubricScore !== null && (
+              <p className="text-sm font-medium text-gray-700">
+                Weighted Rubric Score: <span className="text-headerblue font-semibold">{rubricScore.toFixed(1)}/5</span>
+              </p>
+            )}
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="text-sm font-medium text-gray-700">Overall Rating:</span>
+              <div className="print:hidden">
+                <RatingInput
+                  label="Overall rating"
+                  value={applicant?.rating ?? null}
+                  onChange={(rating) => saveApplicantReview({ rating })}
+                />
+              </div>
+              <span className="hidden print:inline text-sm">{applicant?.rating ? `${applicant.rating}/5` : 'Not rated'}</span>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm font-medium text-gray-700">Tags:</span>
+              {(applicant?.tags || []).map(tag => (
+                <span key={tag} className="flex items-center gap-1 px-2 py-1 rounded-lg text-sm bg-blue-100 text-blue-700">
+                  {tag}
+                  <button
+                    type="button"
+                    aria-label={`Remove tag ${tag}`}
+                    onClick={() => handleRemoveTag(tag)}
+                    className="text-blue-500 hover:text-blue-800 font-semibold print:hidden"
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+              <form onSubmit={handleAddTag} className="flex gap-2 print:hidden">
+                <input
+                  type="text"
+                  aria-label="New tag"
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                  value={newTag}
+                  onChange={(event) => setNewTag(event.target.value)}
+                  placeholder="Add a tag"
+                />
+                <button
+                  type="submit"
+                  disabled={!newTag.trim()}
+                  className="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400 font-medium"
+                >
+                  Add
+                </button>
+              </form>
+            </div>
+          </div>
+
+          {answers.some(answer => answer.answer) && (
+            <button
+              type="button"
+              onClick={scoreAllAnswers}
+              disabled={evaluating}
+              className="bg-primary hover:bg-headerblue disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-lg transition duration-200 print:hidden"
+            >
+              {evaluating ? 'Scoring Answers...' : 'Score Answers with AI'}
+            </button>
+          )}
         </div>
 
         {/* Answers Section */}
         <div className="space-y-6">
-          {answers.length === 0 ? (
+          {answers.length === 0 && (
             <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6 text-center">
               <h3 className="text-xl font-semibold mb-2">No Answers Found</h3>
               <p>This applicant has submitted no answers to the interview questions. <br></br>Alternatively, the applicant may haven't completed the interview yet. You may check their status in the applicant dashboard.</p>
             </div>
-          ) : (
-            answers.map((answer, index) => (
-              <div key={answer.id} className="bg-white rounded-lg shadow-md p-6 hover:shadow-lg transition-shadow duration-200">
+          )}
+
+          {/* Every question in interview order, with the applicant's answer or a note that there is none */}
+          {questions.map((question, index) => {
+            const answer = answerMap[question.id];
+            return (
+              <div key={question.id} className="bg-white rounded-lg shadow-md p-6 hover:shadow-lg transition-shadow duration-200 print:shadow-none print:border print:border-gray-300 break-inside-avoid">
                 <div className="flex items-start justify-between mb-4">
                   <div className="flex items-center">
                     <div className="w-8 h-8 bg-headerblue rounded-full flex items-center justify-center mr-3">
                       <span className="text-white font-semibold">{index + 1}</span>
                     </div>
-                    <h3 className="text-xl font-semibold text-gray-800">
-                      {questionMap[answer.question_id]}
-                    </h3>
+                    <div>
+                      <h3 className="text-xl font-semibold text-gray-800">
+                        {question.question}
+                      </h3>
+                      <span className="text-sm text-gray-500">{question.difficulty}</span>
+                    </div>
                   </div>
+                  {answer?.time_taken != null && (
+                    <span className="text-sm text-gray-500 whitespace-nowrap ml-4">
+                      Time taken: {formatDuration(answer.time_taken)}
+                      {question.time_limit_seconds && ` / ${formatDuration(question.time_limit_seconds)}`}
+                    </span>
+                  )}
                 </div>
-                <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
-                  <h4 className="text-sm font-medium text-gray-500 mb-2 uppercase tracking-wide">Answer:</h4>
-                  <p className="text-gray-800 leading-relaxed whitespace-pre-wrap">
-                    {answer.answer || <span className="text-gray-400 italic"><p>No answer provided, question skipped.</p></span>}
-                  </p>
-                </div>
+                {!answer ? (
+                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+                    <h4 className="text-sm font-medium text-gray-500 mb-2 uppercase tracking-wide">Answer:</h4>
+                    <p className="text-gray-400 italic">Not answered</p>
+                  </div>
+                ) : (
+                  <>
+                    <div className={question.rubric?.length > 0 ? 'grid grid-cols-1 md:grid-cols-2 gap-4' : ''}>
+                      <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+                        <h4 className="text-sm font-medium text-gray-500 mb-2 uppercase tracking-wide">Answer:</h4>
+                        <p className="text-gray-800 leading-relaxed whitespace-pre-wrap">
+                          {answer.answer || <span className="text-gray-400 italic"><p>No answer provided, question skipped.</p></span>}
+                        </p>
+                      </div>
+
+                      {/* Rubric */}
+                      {question.rubric?.length > 0 && (
+                        <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                          <div className="flex justify-between items-center">
+                            <h4 className="text-sm font-medium text-gray-500 uppercase tracking-wide">Rubric:</h4>
+                            {weightedRubricScore([answer], questionMap) !== null && (
+                              <span className="px-3 py-1 rounded-lg text-sm font-semibold bg-headerblue text-white">
+                                {weightedRubricScore([answer], questionMap).toFixed(1)}/5
+                              </span>
+                            )}
+                          </div>
+                          {question.rubric.map(criterion => (
+                            <div key={criterion.name}>
+                              <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+                                <span className="text-sm font-medium text-gray-800">
+                                  {criterion.name} <span className="text-gray-500 font-normal">(weight {criterion.weight})</span>
+                                </span>
+                                <div className="print:hidden">
+                                  <RatingInput
+                                    label={`${criterion.name} score for answer ${index + 1}`}
+                                    value={answer.rubric_scores?.[criterion.name] ?? null}
+                                    onChange={(score) => handleRubricScoreChange(answer, criterion.name, score)}
+                                  />
+                                </div>
+                                <span className="hidden print:inline text-sm">
+                                  {answer.rubric_scores?.[criterion.name] != null ? `${answer.rubric_scores[criterion.name]}/5` : 'Not scored'}
+                                </span>
+                              </div>
+                              {criterion.strong && <p className="text-xs text-green-700">Strong: {criterion.strong}</p>}
+                              {criterion.weak && <p className="text-xs text-red-700">Weak: {criterion.weak}</p>}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+
+                    {/* AI Score */}
+                    {evaluations[answer.id]?.loading && (
+                      <p className="text-gray-500 mt-4">Scoring answer...</p>
+                    )}
+                    {evaluations[answer.id]?.error && (
+                      <div className="flex items-center justify-between bg-red-50 border border-red-200 rounded-lg p-3 mt-4">
+                        <p className="text-red-600">{evaluations[answer.id].error}</p>
+                        <button
+                          type="button"
+                          onClick={() => scoreAnswer(answer)}
+                          className="text-red-600 hover:text-red-800 text-sm font-medium print:hidden"
+                        >
+                          Retry
+                        </button>
+                      </div>
+                    )}
+                    {evaluations[answer.id]?.result && (
+                      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mt-4">
+                        <div className="flex flex-wrap items-center gap-3 mb-3">
+                          <h4 className="text-sm font-medium text-gray-500 uppercase tracking-wide">AI Score:</h4>
+                          <span className="px-3 py-1 rounded-lg text-sm font-semibold bg-headerblue text-white">
+                            Overall {evaluations[answer.id].result.overall}/5
+                          </span>
+                          {EVALUATION_CRITERIA.map(({ key, label }) => (
+                            <span key={key} className="px-3 py-1 rounded-lg text-sm font-medium bg-white text-gray-700 border border-gray-200">
+                              {label} {evaluations[answer.id].result.scores[key]}/5
+                            </span>
+                          ))}
+                        </div>
+                        <p className="text-gray-700 text-sm">{evaluations[answer.id].result.rationale}</p>
+                      </div>
+                    )}
+
+                    {/* Reviewer rating and comment */}
+                    <div className="border-t border-gray-200 mt-4 pt-4">
+                      <div className="flex flex-wrap items-center gap-3 mb-3">
+                        <h4 className="text-sm font-medium text-gray-500 uppercase tracking-wide">Your Rating:</h4>
+                        <div className="print:hidden">
+                          <RatingInput
+                            label={`Rating for answer ${index + 1}`}
+                            value={answer.review_rating ?? null}
+                            onChange={(rating) => saveAnswerReview(answer, { review_rating: rating })}
+                          />
+                        </div>
+                        <span className="hidden print:inline text-sm">{answer.review_rating != null ? `${answer.review_rating}/5` : 'Not rated'}</span>
+                      </div>
+                      {answer.review_comment && (
+                        <p className="hidden print:block text-sm text-gray-700 whitespace-pre-wrap">{answer.review_comment}</p>
+                      )}
+                      <textarea
+                        rows="2"
+                        aria-label={`Comment on answer ${index + 1}`}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm print:hidden"
+                        value={commentDrafts[answer.id] ?? answer.review_comment ?? ''}
+                        onChange={(event) => setCommentDrafts(prev => ({ ...prev, [answer.id]: event.target.value }))}
+                        onBlur={() => handleCommentBlur(answer)}
+                        placeholder="Add a comment about this answer (saved when you click away)"
+                      ></textarea>
+                    </div>
+                  </>
+                )}
               </div>
-            ))
-          )}
+            );
+          })}
         </div>
       </div>
     </div>
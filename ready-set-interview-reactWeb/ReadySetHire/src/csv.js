@@ -0,0 +1,83 @@
+/**
+ * Parse CSV text, or tab-separated text pasted from a spreadsheet, into rows of cells.
+ * Quoted cells may contain the delimiter, line breaks and doubled quotes ("").
+ * @param {string} text - CSV or tab-separated text
+ * @returns {Array<Array<string>>} - Rows of trimmed cells, without blank rows
+ */
+function parseDelimited(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes('\t') ? '\t' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map(cells => cells.map(value => value.trim()))
+    .filter(cells => cells.some(value => value !== ''));
+}
+
+// Phone numbers and plain numbers, which may start with + or - but cannot run anything in a spreadsheet
+const NUMBER_LIKE_PATTERN = /^[+-](?=.*\d)[\d\s().-]+$/;
+
+/**
+ * Format a single value as a CSV cell. Lists of plain values are joined with "; ", other objects
+ * are written as JSON, and text that a spreadsheet would run as a formula (starting with =, +, - or @,
+ * other than phone numbers and plain numbers) is prefixed with a quote so it opens as text.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) && value.every(item => typeof item !== 'object')
+    ? value.join('; ')
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text) && typeof value !== 'number' && !NUMBER_LIKE_PATTERN.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from a list of records, one column per field found in any record
+ * @param {Array<Object>} records - Flat records, e.g. applicants
+ * @returns {string} - CSV text with a header row
+ */
+function toCsv(records) {
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+  return [
+    columns.map(toCsvCell).join(','),
+    ...records.map(record => columns.map(column => toCsvCell(record[column])).join(',')),
+  ].join('\r\n');
+}
+
+export { parseDelimited, toCsv };
@@ -0,0 +1,26 @@
+import { toCsv } from './csv';
+
+/**
+ * Download records as a CSV or JSON file
+ * @param {Array<Object>} records - Records to export
+ * @param {string} baseName - File name without the extension, e.g. "interviews"
+ * @param {string} format - 'csv' or 'json'
+ */
+function downloadRecords(records, baseName, format) {
+  const content = format === 'csv' ? toCsv(records) : JSON.stringify(records, null, 2);
+  const type = format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json';
+  const fileName = `${baseName.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase()}.${format}`;
+
+  // Spreadsheets need the byte order mark to read UTF-8 CSV files correctly
+  const blob = new Blob(format === 'csv' ? ['\uFEFF', content] : [content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export { downloadRecords };
@@ -0,0 +1,34 @@
+/**
+ * Format a number of seconds as minutes and seconds, e.g. 95 becomes "1:35"
+ * @param {number} totalSeconds - Duration in seconds (negative values are shown as 0:00)
+ * @returns {string} - Formatted duration
+ */
+function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format how long ago a time was as a rough, human readable age, e.g. "3 days"
+ * @param {string|Date} since - Earlier time
+ * @returns {string} - Age in the largest whole unit (minutes, hours or days)
+ */
+function formatAge(since) {
+  const minutes = Math.max(0, Math.floor((Date.now() - new Date(since).getTime()) / 60000));
+  if (minutes < 60) return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return hours === 1 ? '1 hour' : `${hours} hours`;
+  const days = Math.floor(hours / 24);
+  return days === 1 ? '1 day' : `${days} days`;
+}
+
+/**
+ * Count the words in a piece of text
+ * @param {string|null} text - Text to count
+ * @returns {number} - Number of whitespace-separated words
+ */
+function countWords(text) {
+  return text ? text.trim().split(/\s+/).filter(Boolean).length : 0;
+}
+
+export { formatDuration, formatAge, countWords };
@@ -0,0 +1,225 @@
+import { z } from 'zod';
+
+// Base URL for the LLM API server (llm-api-server)
+const LLM_API_BASE_URL = import.meta.env.VITE_LLM_API_BASE_URL || 'http://localhost:3001/api';
+
+// Zod schema for client-side validation, defines expected structure of a generated question
+const QuestionItemSchema = z.object({
+  question: z.string(),
+  difficulty: z.enum(["Easy", "Intermediate", "Advanced"])
+});
+
+// Zod schema for client-side validation of an answer evaluation returned by the LLM server
+const Score = z.number().int().min(1).max(5);
+const EvaluationSchema = z.object({
+  scores: z.object({
+    relevance: Score,
+    depth: Score,
+    clarity: Score,
+  }),
+  overall: Score,
+  rationale: z.string(),
+});
+
+// Zod schema for client-side validation of a question rubric drafted by the LLM server
+const RubricSchema = z.object({
+  criteria: z.array(z.object({
+    name: z.string(),
+    weight: Score,
+    strong: z.string(),
+    weak: z.string(),
+  })).min(1),
+});
+
+/**
+ * Helper function to POST a JSON body to the LLM server and validate the response
+ * @param {string} endpoint - The LLM server endpoint to call
+ * @param {object} body - The request body
+ * @param {z.ZodTypeAny} schema - Zod schema the response must match
+ * @returns {Promise<object>} - The validated response data
+ * @throws {Error} - When the request fails or the response does not match the schema
+ */
+async function llmRequest(endpoint, body, schema) {
+  const res = await fetch(`${LLM_API_BASE_URL}${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => null);
+    throw new Error(data?.error || `LLM server error! status: ${res.status}`);
+  }
+
+  const parsed = schema.safeParse(await res.json());
+  if (!parsed.success) {
+    throw new Error('Response did not match expected schema');
+  }
+  return parsed.data;
+}
+
+/**
+ * Parse a single Server-Sent Event block into its event name and JSON data
+ * @param {string} block - Raw event text without the trailing blank line
+ * @returns {{event: string, data: object|null}} - Parsed event
+ */
+function parseServerSentEvent(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+  });
+
+  return { event, data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : null };
+}
+
+/**
+ * Generate interview questions for a job role with the LLM, streamed over Server-Sent Events
+ * so each question is delivered as soon as the model has finished it
+ * @param {object} options - Generation options
+ * @param {string} options.job_role - The job role to generate questions for
+ * @param {string} [options.description] - Interview description for extra context
+ * @param {{Easy: number, Intermediate: number, Advanced: number}} [options.difficulty_mix] - Number of questions per difficulty
+ * @param {Array<string>} [options.focus_areas] - Skills or topics to focus on
+ * @param {Array<string>} [options.existing_questions] - Question texts already on the interview, to avoid duplicates
+ * @param {object} handlers - Stream handlers
+ * @param {function({question: string, difficulty: string}): void} handlers.onQuestion - Called with each validated question
+ * @param {AbortSignal} [handlers.signal] - Aborts the stream and the model call on the server
+ * @returns {Promise<Array<{question: string, difficulty: string}>>} - Every question received, once the stream completes
+ * @throws {Error} - When the request fails, the server reports an error or the stream is aborted
+ */
+async function streamQuestions(options, { onQuestion, signal }) {
+  const res = await fetch(`${LLM_API_BASE_URL}/generate-question/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(options),
+    signal,
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => null);
+    throw new Error(data?.error || 'Failed to generate questions');
+  }
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  const questions = [];
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const { event, data } = parseServerSentEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+
+      if (event === 'question') {
+        const parsed = QuestionItemSchema.safeParse(data);
+        if (parsed.success) {
+          questions.push(parsed.data);
+          onQuestion(parsed.data);
+        }
+      } else if (event === 'error') {
+        throw new Error(data?.error || 'Failed to generate questions');
+      } else if (event === 'done') {
+        return questions;
+      }
+    }
+  }
+
+  throw new Error('Question stream ended unexpectedly');
+}
+
+/**
+ * Revise a single suggested question with the LLM
+ * @param {string} endpoint - Revision endpoint on the LLM server
+ * @param {object} params - Revision parameters
+ * @param {string} params.job_role - The job role of the interview
+ * @param {string} params.question - Question text to revise
+ * @param {string} params.difficulty - Current difficulty of the question
+ * @param {string} [params.description] - Interview description for extra context
+ * @param {Array<string>} [params.focus_areas] - Skills or topics to focus on
+ * @param {Array<string>} [params.existing_questions] - Question texts to avoid duplicating
+ * @returns {Promise<{question: string, difficulty: string}>} - Validated revised question
+ */
+async function reviseQuestion(endpoint, params) {
+  return llmRequest(endpoint, params, QuestionItemSchema);
+}
+
+/**
+ * Replace a suggested question with a different one of the same difficulty
+ * @param {object} params - Revision parameters, see reviseQuestion
+ * @returns {Promise<{question: string, difficulty: string}>} - Validated new question
+ */
+async function regenerateQuestion(params) {
+  return reviseQuestion('/regenerate-question', params);
+}
+
+/**
+ * Make a suggested question harder or easier
+ * @param {object} params - Revision parameters, see reviseQuestion
+ * @param {string} params.direction - 'harder' or 'easier'
+ * @returns {Promise<{question: string, difficulty: string}>} - Validated adjusted question
+ */
+async function adjustQuestionDifficulty(params) {
+  return reviseQuestion('/adjust-question-difficulty', params);
+}
+
+/**
+ * Reword a suggested question without changing what it asks
+ * @param {object} params - Revision parameters, see reviseQuestion
+ * @returns {Promise<{question: string, difficulty: string}>} - Validated rephrased question
+ */
+async function rephraseQuestion(params) {
+  return reviseQuestion('/rephrase-question', params);
+}
+
+/**
+ * Revise a suggested question following a free-text instruction
+ * @param {object} params - Revision parameters, see reviseQuestion
+ * @param {string} params.instruction - Recruiter's instruction for the revision
+ * @returns {Promise<{question: string, difficulty: string}>} - Validated refined question
+ */
+async function refineQuestion(params) {
+  return reviseQuestion('/refine-question', params);
+}
+
+/**
+ * Score an applicant's answer against the question with the LLM
+ * @param {object} params - Evaluation parameters
+ * @param {string} params.job_role - Job role of the interview
+ * @param {string} params.question - Question text
+ * @param {string} params.difficulty - Question difficulty (Easy, Intermediate, Advanced)
+ * @param {string} params.answer - Applicant's answer transcript
+ * @returns {Promise<{scores: {relevance: number, depth: number, clarity: number}, overall: number, rationale: string}>} - Validated evaluation
+ */
+async function evaluateAnswer({ job_role, question, difficulty, answer }) {
+  return llmRequest('/evaluate-answer', { job_role, question, difficulty, answer }, EvaluationSchema);
+}
+
+/**
+ * Draft a scoring rubric for a question with the LLM
+ * @param {object} params - Rubric parameters
+ * @param {string} params.job_role - Job role of the interview
+ * @param {string} [params.description] - Interview description for extra context
+ * @param {string} params.question - Question text
+ * @param {string} params.difficulty - Question difficulty (Easy, Intermediate, Advanced)
+ * @returns {Promise<{criteria: Array<{name: string, weight: number, strong: string, weak: string}>}>} - Validated rubric
+ */
+async function generateRubric({ job_role, description, question, difficulty }) {
+  return llmRequest('/generate-rubric', { job_role, description, question, difficulty }, RubricSchema);
+}
+
+export {
+  streamQuestions,
+  regenerateQuestion,
+  adjustQuestionDifficulty,
+  rephraseQuestion,
+  refineQuestion,
+  evaluateAnswer,
+  generateRubric,
+};
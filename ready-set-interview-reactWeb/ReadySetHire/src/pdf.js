@@ -0,0 +1,135 @@
+import { getApplicantStage } from './app';
+import { formatDuration } from './format';
+import { weightedRubricScore } from './rubric';
+
+// A4 page layout in millimetres
+const PAGE_MARGIN = 15;
+const LINE_HEIGHT_FACTOR = 0.45;
+
+/**
+ * Build a PDF report of an applicant's interview and download it
+ * The report has the interview and applicant details, then each of the interview's questions with its difficulty,
+ * the answer transcript (or "Not answered"), rubric scores, the reviewer's rating and comment, and any AI score
+ * @param {Object} report - Report contents
+ * @param {Object} report.interview - Interview (title, job_role)
+ * @param {Object} report.applicant - Applicant (name, contact details, stage, rating, tags)
+ * @param {Array<Object>} report.questions - The interview's questions in order
+ * @param {Array<Object>} report.answers - The applicant's answers
+ * @param {Object} report.questionMap - Questions keyed by ID
+ * @param {Object} [report.evaluations={}] - AI scores keyed by answer ID ({ result })
+ * @returns {Promise<void>} - Resolves once the download has started
+ */
+async function exportApplicantReportPdf({ interview, applicant, questions, answers, questionMap, evaluations = {} }) {
+  // jsPDF is only needed here, so load it on demand rather than with the rest of the app
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const textWidth = pageWidth - PAGE_MARGIN * 2;
+  let y = PAGE_MARGIN;
+
+  // Write wrapped text, starting a new page whenever the next line would not fit
+  const write = (text, { size = 10, style = 'normal', color = 30, indent = 0, after = 1.5 } = {}) => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+    const lineHeight = size * LINE_HEIGHT_FACTOR;
+    doc.splitTextToSize(String(text), textWidth - indent).forEach(line => {
+      if (y + lineHeight > pageHeight - PAGE_MARGIN) {
+        doc.addPage();
+        y = PAGE_MARGIN;
+      }
+      doc.text(line, PAGE_MARGIN + indent, y + lineHeight * 0.8);
+      y += lineHeight;
+    });
+    y += after;
+  };
+
+  const rule = () => {
+    doc.setDrawColor(200);
+    doc.line(PAGE_MARGIN, y, pageWidth - PAGE_MARGIN, y);
+    y += 4;
+  };
+
+  // Interview and applicant details
+  write(`${interview.title} Interview Report`, { size: 18, style: 'bold', after: 3 });
+  write(`Job role: ${interview.job_role}`);
+  write(`Applicant: ${applicant.title ? `${applicant.title} ` : ''}${applicant.firstname} ${applicant.surname}`);
+  write(`Email: ${applicant.email_address}`);
+  if (applicant.phone_number) write(`Phone: ${applicant.phone_number}`);
+  write(`Stage: ${getApplicantStage(applicant)}`);
+  if (applicant.rating) write(`Overall rating: ${applicant.rating}/5`);
+  const rubricScore = weightedRubricScore(answers, questionMap);
+  if (rubricScore !== null) write(`Weighted rubric score: ${rubricScore.toFixed(1)}/5`);
+  if (applicant.tags?.length > 0) write(`Tags: ${applicant.tags.join(', ')}`);
+  write(`Generated ${new Date().toLocaleString()}`, { size: 8, color: 120, after: 4 });
+  rule();
+
+  if (answers.length === 0) {
+    write('This applicant has not submitted any answers.');
+  }
+
+  // Each question with its answer and review
+  questions.forEach((question, index) => {
+    const answer = answers.find(a => a.question_id === question.id);
+    write(`${index + 1}. ${question.question}`, { size: 12, style: 'bold' });
+    const details = [question.difficulty];
+    if (answer?.time_taken != null) details.push(`Time taken ${formatDuration(answer.time_taken)}`);
+    write(details.filter(Boolean).join(' | '), { size: 9, color: 110, after: 2 });
+
+    write('Answer', { size: 9, style: 'bold', color: 110, after: 0.5 });
+    if (!answer) {
+      write('Not answered', { style: 'italic', after: 3 });
+      y += 2;
+      rule();
+      return;
+    }
+    write(answer.answer || 'No answer provided, question skipped.', { style: answer.answer ? 'normal' : 'italic', after: 3 });
+
+    if (question.rubric?.length > 0) {
+      write('Rubric', { size: 9, style: 'bold', color: 110, after: 0.5 });
+      question.rubric.forEach(criterion => {
+        const score = answer.rubric_scores?.[criterion.name];
+        write(`${criterion.name} (weight ${criterion.weight}): ${score != null ? `${score}/5` : 'not scored'}`, { indent: 3, after: 0.5 });
+      });
+      const answerScore = weightedRubricScore([answer], questionMap);
+      if (answerScore !== null) write(`Weighted score: ${answerScore.toFixed(1)}/5`, { indent: 3, style: 'bold' });
+      y += 1.5;
+    }
+
+    if (answer.review_rating != null || answer.review_comment) {
+      write('Reviewer', { size: 9, style: 'bold', color: 110, after: 0.5 });
+      if (answer.review_rating != null) write(`Rating: ${answer.review_rating}/5`, { indent: 3, after: 0.5 });
+      if (answer.review_comment) write(answer.review_comment, { indent: 3, after: 0.5 });
+      y += 1.5;
+    }
+
+    const evaluation = evaluations[answer.id]?.result;
+    if (evaluation) {
+      write('AI score', { size: 9, style: 'bold', color: 110, after: 0.5 });
+      write(`Overall ${evaluation.overall}/5 (relevance ${evaluation.scores.relevance}, depth ${evaluation.scores.depth}, clarity ${evaluation.scores.clarity})`, { indent: 3, after: 0.5 });
+      write(evaluation.rationale, { indent: 3 });
+    }
+
+    y += 2;
+    rule();
+  });
+
+  // Page numbers
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(120);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - PAGE_MARGIN, pageHeight - PAGE_MARGIN / 2, { align: 'right' });
+  }
+
+  const fileName = `${applicant.firstname} ${applicant.surname} ${interview.title}`
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-|-$/g, '')
+    .toLowerCase();
+  doc.save(`${fileName}.pdf`);
+}
+
+export { exportApplicantReportPdf };
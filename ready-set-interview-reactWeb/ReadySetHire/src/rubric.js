@@ -0,0 +1,26 @@
+/**
+ * Weighted rubric score for one or more answers, on the same 1-5 scale as the criteria.
+ * Each scored criterion counts in proportion to its weight; unscored criteria and scores
+ * for criteria no longer on the question's rubric are ignored.
+ * @param {Array<Object>} answers - Answers with rubric_scores (score keyed by criterion name)
+ * @param {Object} questionMap - Questions keyed by ID, each with an optional rubric (criteria with name and weight)
+ * @returns {number|null} - Weighted average score, or null when nothing has been scored
+ */
+function weightedRubricScore(answers, questionMap) {
+  let total = 0;
+  let totalWeight = 0;
+
+  answers.forEach(answer => {
+    (questionMap[answer.question_id]?.rubric || []).forEach(criterion => {
+      const score = answer.rubric_scores?.[criterion.name];
+      if (score != null) {
+        total += score * criterion.weight;
+        totalWeight += criterion.weight;
+      }
+    });
+  });
+
+  return totalWeight > 0 ? total / totalWeight : null;
+}
+
+export { weightedRubricScore };
@@ -0,0 +1,121 @@
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { RunnableLambda } from "@langchain/core/runnables";
+
+// Canned interview questions returned by the fake provider, three Easy, three Intermediate, four Advanced
+const CANNED_QUESTIONS = [
+  { question: "Tell us about yourself and what interests you about this role.", difficulty: "Easy" },
+  { question: "Describe a project you are proud of and your part in it.", difficulty: "Easy" },
+  { question: "How do you keep your skills up to date?", difficulty: "Easy" },
+  { question: "Walk us through how you would approach a task with unclear requirements.", difficulty: "Intermediate" },
+  { question: "Tell us about a time you received difficult feedback and what you did with it.", difficulty: "Intermediate" },
+  { question: "How do you prioritise when several urgent requests arrive at once?", difficulty: "Intermediate" },
+  { question: "Describe the hardest technical problem you have solved and the trade-offs you made.", difficulty: "Advanced" },
+  { question: "How would you design a system for this role's core workflow to scale tenfold?", difficulty: "Advanced" },
+  { question: "Tell us about a decision you made that turned out to be wrong and how you recovered.", difficulty: "Advanced" },
+  { question: "How would you mentor a new team member who is struggling to deliver?", difficulty: "Advanced" },
+];
+
+// Canned rubric criteria names, used in order for each criterion in a rubric
+const CANNED_CRITERIA = ["Relevant example", "Depth of reasoning", "Clear communication"];
+
+// Canned text for free-form string fields, keyed by field name
+const CANNED_STRINGS = {
+  rationale: "The answer addresses the question with a relevant example but could go into more depth.",
+  strong: "Gives a specific, well-structured example and explains the reasoning and outcome.",
+  weak: "Stays general, with no example or explanation of the reasoning.",
+};
+
+/**
+ * Unwrap optional, nullable, default and effect wrappers to reach the underlying zod type
+ * @param {z.ZodTypeAny} schema - Zod schema
+ * @returns {z.ZodTypeAny} - Innermost schema
+ */
+function unwrap(schema) {
+  let current = schema;
+  while (current?._def?.innerType || current?._def?.schema) {
+    current = current._def.innerType || current._def.schema;
+  }
+  return current;
+}
+
+/**
+ * Build a deterministic value that satisfies a zod schema
+ * @param {z.ZodTypeAny} schema - Zod schema to satisfy
+ * @param {string} [key=""] - Name of the field being generated, used to pick canned text
+ * @param {number} [index=0] - Position within the parent array
+ * @returns {*} - Schema-valid sample value
+ */
+function sampleFromSchema(schema, key = "", index = 0) {
+  const type = unwrap(schema);
+  const def = type._def;
+
+  switch (def.typeName) {
+    case "ZodObject": {
+      const shape = typeof def.shape === "function" ? def.shape() : def.shape;
+      return Object.fromEntries(
+        Object.entries(shape).map(([field, fieldSchema]) => [field, sampleFromSchema(fieldSchema, field, index)])
+      );
+    }
+    case "ZodArray": {
+      const preferred = key === "questions" ? CANNED_QUESTIONS.length : 3;
+      const length = def.exactLength?.value
+        ?? Math.min(Math.max(def.minLength?.value ?? 0, preferred), def.maxLength?.value ?? Infinity);
+      return Array.from({ length }, (_, i) => sampleFromSchema(def.type, key, i));
+    }
+    case "ZodEnum":
+      // Follow the canned question's difficulty where the enum allows it
+      return def.values.includes(CANNED_QUESTIONS[index % CANNED_QUESTIONS.length].difficulty)
+        ? CANNED_QUESTIONS[index % CANNED_QUESTIONS.length].difficulty
+        : def.values[index % def.values.length];
+    case "ZodString":
+      if (key === "question") return CANNED_QUESTIONS[index % CANNED_QUESTIONS.length].question;
+      if (key === "name") return CANNED_CRITERIA[index % CANNED_CRITERIA.length];
+      return CANNED_STRINGS[key] ?? `Sample ${key || "text"} ${index + 1}`;
+    case "ZodNumber": {
+      const min = def.checks.find(check => check.kind === "min")?.value ?? 0;
+      const max = def.checks.find(check => check.kind === "max")?.value ?? min + 10;
+      return Math.round((min + max) / 2);
+    }
+    case "ZodBoolean":
+      return true;
+    case "ZodLiteral":
+      return def.value;
+    case "ZodUnion":
+      return sampleFromSchema(def.options[0], key, index);
+    default:
+      throw new Error(`Fake provider cannot sample zod type ${def.typeName}`);
+  }
+}
+
+/**
+ * Deterministic chat model for running the server with no network or API key.
+ * Structured output returns canned, schema-valid data; plain text calls return
+ * the canned questions as JSON, one per line.
+ */
+class FakeChatModel extends BaseChatModel {
+  _llmType() {
+    return "fake";
+  }
+
+  async _generate() {
+    const text = CANNED_QUESTIONS.map(question => JSON.stringify(question)).join("\n");
+    return { generations: [{ text, message: new AIMessage(text) }] };
+  }
+
+  // Stream the canned questions one line at a time, like a model emitting JSON lines
+  async *_streamResponseChunks(_messages, options) {
+    for (const question of CANNED_QUESTIONS) {
+      if (options?.signal?.aborted) return;
+      const text = `${JSON.stringify(question)}\n`;
+      yield new ChatGenerationChunk({ text, message: new AIMessageChunk(text) });
+    }
+  }
+
+  withStructuredOutput(schema) {
+    return RunnableLambda.from(async () => schema.parse(sampleFromSchema(schema)));
+  }
+}
+
+export { FakeChatModel };
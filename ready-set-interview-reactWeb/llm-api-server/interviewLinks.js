@@ -0,0 +1,317 @@
+import express from "express";
+import { z } from "zod";
+
+// Hosted interview REST API (PostgREST) the candidate routes read and write on the recruiter's behalf
+const DEFAULT_DATA_API_BASE_URL = "https://comp2140a2.uqcloud.net/api";
+
+// Columns a candidate needs to take the interview; reviews, ratings and rubrics stay with the recruiter
+const INTERVIEW_COLUMNS = "id,title,job_role,description,answer_mode,time_limit_minutes,preparation_seconds";
+const APPLICANT_COLUMNS = "id,interview_id,title,firstname,surname,email_address,phone_number,interview_status,started_at,questions_opened_at";
+const QUESTION_COLUMNS = "id,interview_id,question,difficulty,position,time_limit_seconds";
+const ANSWER_COLUMNS = "id,interview_id,question_id,applicant_id,answer,time_taken";
+
+// Statuses in which the interview can still be taken (null and "Not Started" are legacy Invited)
+const OPEN_STATUSES = [null, "Not Started", "Invited", "In Progress"];
+
+// Answers arriving this soon after a time limit runs out are still saved, since the candidate's page
+// submits the answer so far automatically when the time runs out
+const LATE_ANSWER_GRACE_SECONDS = 30;
+
+// Define the schema for a candidate opening a question
+const OpenQuestionRequestSchema = z.object({
+  question_id: z.number({ required_error: "Question is required" }).int().positive(),
+});
+
+// Define the schema for a candidate's answer submission
+const AnswerRequestSchema = z.object({
+  question_id: z.number({ required_error: "Question is required" }).int().positive(),
+  answer: z.string({ required_error: "Answer is required" }),
+  time_taken: z.number().int().min(0).nullable().default(null),
+});
+
+/**
+ * Error carrying the HTTP status a candidate route should respond with
+ */
+class LinkError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Get the API credentials the server holds for a recruiter
+ * DATA_API_TOKENS lists "username:token" pairs separated by commas, and is read per request, after dotenv has loaded the .env file
+ * @param {string} username - The recruiter's UQ username
+ * @returns {{username: string, token: string}} - Credentials to call the REST API as the recruiter
+ * @throws {LinkError} - 503 when the server has no token for the recruiter
+ */
+function getRecruiter(username) {
+  const entry = (process.env.DATA_API_TOKENS || "")
+    .split(",")
+    .map(pair => pair.trim())
+    .find(pair => pair.startsWith(`${username}:`));
+  if (!entry) {
+    throw new LinkError(503, "Interview links are not set up on this server. Please contact the recruiter.");
+  }
+  return { username, token: entry.slice(username.length + 1) };
+}
+
+/**
+ * Call the interview REST API. As a recruiter, the request carries their token and their username is added
+ * to request bodies, so row-level security scopes it to their rows; without one it runs as the anonymous role
+ * @param {{username: string, token: string}|null} recruiter - Recruiter to call the API as, or null
+ * @param {string} endpoint - API endpoint, e.g. "/applicant"
+ * @param {string} [method="GET"] - HTTP method
+ * @param {object|null} [body=null] - Request body for POST or PATCH
+ * @param {object} [queryParams={}] - PostgREST filters and options. A POST with on_conflict updates the row it conflicts with
+ * @returns {Promise<*>} - Rows or value returned by the API
+ * @throws {Error} - When the API responds with an error
+ */
+async function dataRequest(recruiter, endpoint, method = "GET", body = null, queryParams = {}) {
+  const baseUrl = process.env.DATA_API_BASE_URL || DEFAULT_DATA_API_BASE_URL;
+  const queryString = new URLSearchParams(queryParams).toString();
+  const response = await fetch(`${baseUrl}${endpoint}${queryString ? `?${queryString}` : ""}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(recruiter && { Authorization: `Bearer ${recruiter.token}` }),
+      ...((method === "POST" || method === "PATCH") && {
+        Prefer: queryParams.on_conflict ? "return=representation,resolution=merge-duplicates" : "return=representation",
+      }),
+    },
+    ...(body && { body: JSON.stringify(recruiter ? { ...body, username: recruiter.username } : body) }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Data API error! status: ${response.status}, message: ${await response.text()}`);
+  }
+  return response.json();
+}
+
+/**
+ * Find the link for a token, check it can still be used and get the recruiter who issued it. The recruiter is
+ * looked up with the interview_link_owner database function (db/migration.sql), which candidates may call without a session
+ * @param {string} token - Link token from the candidate's URL
+ * @returns {Promise<{recruiter: object, link: object, applicant: object}>} - The recruiter's credentials, the link and its applicant
+ * @throws {LinkError} - 404 for unknown or revoked links, 410 for expired or used single-use links
+ */
+async function resolveLink(token) {
+  const owner = await dataRequest(null, "/rpc/interview_link_owner", "POST", { link_token: token });
+  if (!owner) {
+    throw new LinkError(404, "This interview link is not valid. Please contact the recruiter for a new link.");
+  }
+
+  const recruiter = getRecruiter(owner);
+  const [link] = await dataRequest(recruiter, "/interview_link", "GET", null, { token: `eq.${token}` });
+  if (!link || link.revoked) {
+    throw new LinkError(404, "This interview link is not valid. Please contact the recruiter for a new link.");
+  }
+  if (new Date(link.expires_at) < new Date()) {
+    throw new LinkError(410, "This interview link has expired. Please contact the recruiter for a new link.");
+  }
+  if (link.single_use && link.consumed_at) {
+    throw new LinkError(410, "This interview link could only be used once. Please contact the recruiter for a new link.");
+  }
+
+  const [applicant] = await dataRequest(recruiter, "/applicant", "GET", null, {
+    id: `eq.${link.applicant_id}`,
+    select: APPLICANT_COLUMNS,
+  });
+  if (!applicant) {
+    throw new LinkError(404, "This interview link is not valid. Please contact the recruiter for a new link.");
+  }
+  return { recruiter, link, applicant };
+}
+
+/**
+ * Check the applicant can still submit to the interview
+ * @param {object} applicant - Applicant the link is for
+ * @throws {LinkError} - 409 once the interview has been completed
+ */
+function assertOpen(applicant) {
+  if (!OPEN_STATUSES.includes(applicant.interview_status)) {
+    throw new LinkError(409, "This interview has already been completed. Please contact the recruiter if you need to retake it.");
+  }
+}
+
+/**
+ * Get a question of the link's interview
+ * @param {{username: string, token: string}} recruiter - Recruiter who issued the link
+ * @param {object} link - Interview link
+ * @param {number} questionId - Question ID from the candidate's request
+ * @returns {Promise<object>} - The question's ID and time limit
+ * @throws {LinkError} - 404 when the question is not part of the interview
+ */
+async function getLinkQuestion(recruiter, link, questionId) {
+  const [question] = await dataRequest(recruiter, "/question", "GET", null, {
+    id: `eq.${questionId}`,
+    interview_id: `eq.${link.interview_id}`,
+    select: "id,time_limit_seconds",
+  });
+  if (!question) {
+    throw new LinkError(404, "This question is not part of your interview.");
+  }
+  return question;
+}
+
+/**
+ * Check an answer arrives before the interview's and the question's time limits run out. The interview's limit
+ * counts from when the applicant started, and the question's from when they opened it plus the preparation time
+ * @param {object} interview - Interview with its time limit and preparation time
+ * @param {object} question - Question with its time limit
+ * @param {object} applicant - Applicant with when they started and opened each question
+ * @throws {LinkError} - 409 once either time limit has run out
+ */
+function assertInTime(interview, question, applicant) {
+  const latest = Date.now() - LATE_ANSWER_GRACE_SECONDS * 1000;
+  if (interview.time_limit_minutes && applicant.started_at
+    && Date.parse(applicant.started_at) + interview.time_limit_minutes * 60 * 1000 < latest) {
+    throw new LinkError(409, "The time limit for this interview has run out, so no more answers can be saved.");
+  }
+
+  if (question.time_limit_seconds) {
+    const openedAt = applicant.questions_opened_at?.[question.id];
+    if (!openedAt) {
+      throw new LinkError(409, "This question has a time limit, so it must be opened before it is answered.");
+    }
+    const answerSeconds = (interview.preparation_seconds || 0) + question.time_limit_seconds;
+    if (Date.parse(openedAt) + answerSeconds * 1000 < latest) {
+      throw new LinkError(409, "The time limit for this question has run out, so the answer could not be saved.");
+    }
+  }
+}
+
+/**
+ * Move an applicant to a new status, recording the change in their status history
+ * @param {{username: string, token: string}} recruiter - Recruiter who issued the link
+ * @param {object} applicant - Applicant before the change
+ * @param {string} status - New status
+ */
+async function changeStatus(recruiter, applicant, status) {
+  await dataRequest(recruiter, "/applicant", "PATCH", { interview_status: status }, { id: `eq.${applicant.id}` });
+  await dataRequest(recruiter, "/applicant_status_history", "POST", {
+    applicant_id: applicant.id,
+    from_status: applicant.interview_status,
+    to_status: status,
+    changed_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Wrap a candidate route so link errors become their status and message, and anything else a 500
+ * @param {function(express.Request, express.Response): Promise<void>} handler - Route handler
+ * @returns {function(express.Request, express.Response): Promise<void>} - Express handler
+ */
+function linkRoute(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      if (err instanceof LinkError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error("Error handling interview link request:", err);
+      res.status(500).json({ error: "Failed to load the interview, please try again." });
+    }
+  };
+}
+
+// Routes for candidates taking an interview through their link. Candidates have no session, so the link token
+// is their credential: every request checks it is still valid, then reads and writes as the recruiter who issued it
+const interviewLinkRouter = express.Router();
+
+// Everything the candidate pages need to run the interview
+interviewLinkRouter.get("/:token", linkRoute(async (req, res) => {
+  const { recruiter, link, applicant } = await resolveLink(req.params.token);
+  const [[interview], questions, answers] = await Promise.all([
+    dataRequest(recruiter, "/interview", "GET", null, { id: `eq.${link.interview_id}`, select: INTERVIEW_COLUMNS }),
+    dataRequest(recruiter, "/question", "GET", null, {
+      interview_id: `eq.${link.interview_id}`,
+      order: "position.asc.nullslast,id.asc",
+      select: QUESTION_COLUMNS,
+    }),
+    dataRequest(recruiter, "/applicant_answer", "GET", null, { applicant_id: `eq.${applicant.id}`, select: ANSWER_COLUMNS }),
+  ]);
+
+  res.json({ interview, applicant, questions, answers });
+}));
+
+// Record when the applicant first opened a question, which its time limit counts from. The first question
+// opened also starts the interview's time limit
+interviewLinkRouter.post("/:token/open", linkRoute(async (req, res) => {
+  const request = OpenQuestionRequestSchema.safeParse(req.body ?? {});
+  if (!request.success) {
+    return res.status(400).json({
+      error: request.error.issues[0]?.message || "Invalid question",
+      details: request.error.flatten(),
+    });
+  }
+
+  const { recruiter, link, applicant } = await resolveLink(req.params.token);
+  assertOpen(applicant);
+  const question = await getLinkQuestion(recruiter, link, request.data.question_id);
+
+  const now = new Date().toISOString();
+  const started_at = applicant.started_at || now;
+  const opened_at = applicant.questions_opened_at?.[question.id] || now;
+  if (started_at !== applicant.started_at || opened_at !== applicant.questions_opened_at?.[question.id]) {
+    await dataRequest(recruiter, "/applicant", "PATCH", {
+      started_at,
+      questions_opened_at: { ...applicant.questions_opened_at, [question.id]: opened_at },
+    }, { id: `eq.${applicant.id}` });
+  }
+  res.json({ started_at, opened_at });
+}));
+
+// Save an answer, replacing any earlier answer to the same question, unless its time limit has run out.
+// The first answer moves the applicant to In Progress and starts the interview's time limit if no question was opened
+interviewLinkRouter.post("/:token/answers", linkRoute(async (req, res) => {
+  const request = AnswerRequestSchema.safeParse(req.body ?? {});
+  if (!request.success) {
+    return res.status(400).json({
+      error: request.error.issues[0]?.message || "Invalid answer",
+      details: request.error.flatten(),
+    });
+  }
+
+  const { recruiter, link, applicant } = await resolveLink(req.params.token);
+  assertOpen(applicant);
+
+  const { question_id, answer, time_taken } = request.data;
+  const question = await getLinkQuestion(recruiter, link, question_id);
+  const [interview] = await dataRequest(recruiter, "/interview", "GET", null, {
+    id: `eq.${link.interview_id}`,
+    select: "time_limit_minutes,preparation_seconds",
+  });
+  assertInTime(interview, question, applicant);
+
+  const answerData = { interview_id: link.interview_id, question_id, applicant_id: applicant.id, answer, time_taken };
+  const [saved] = await dataRequest(recruiter, "/applicant_answer", "POST", answerData, {
+    on_conflict: "applicant_id,question_id",
+    select: ANSWER_COLUMNS,
+  });
+
+  if (!applicant.started_at) {
+    await dataRequest(recruiter, "/applicant", "PATCH", { started_at: new Date().toISOString() }, { id: `eq.${applicant.id}` });
+  }
+  if (applicant.interview_status !== "In Progress") {
+    await changeStatus(recruiter, applicant, "In Progress");
+  }
+  res.json({ answer: saved, interview_status: "In Progress" });
+}));
+
+// Mark the interview completed, using up a single-use link
+interviewLinkRouter.post("/:token/complete", linkRoute(async (req, res) => {
+  const { recruiter, link, applicant } = await resolveLink(req.params.token);
+  const status = OPEN_STATUSES.includes(applicant.interview_status) ? "Completed" : applicant.interview_status;
+  if (status !== applicant.interview_status) {
+    await changeStatus(recruiter, applicant, status);
+  }
+  if (link.single_use) {
+    await dataRequest(recruiter, "/interview_link", "PATCH", { consumed_at: new Date().toISOString() }, { id: `eq.${link.id}` });
+  }
+  res.json({ interview_status: status });
+}));
+
+export { interviewLinkRouter };
@@ -3,7 +3,11 @@ import dotenv from "dotenv";
 import cors from "cors";
 import { z } from "zod";
 import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
 import { ChatOpenAI } from "@langchain/openai";
+import { ChatAnthropic } from "@langchain/anthropic";
+import { FakeChatModel } from "./fakeModel.js";
+import { interviewLinkRouter } from "./interviewLinks.js";
 
 dotenv.config();
 
@@ -17,12 +21,89 @@ app.use(cors({
 
 app.use(express.json());
 
+// Candidate routes for taking an interview through a link, see interviewLinks.js
+app.use("/api/interview-links", interviewLinkRouter);
+
 // Define the schema for interview questions
+const Difficulty = z.enum(["Easy", "Intermediate", "Advanced"]);
+const QuestionItemSchema = z.object({
+  question: z.string(),
+  difficulty: Difficulty,
+});
 const QuestionSchema = z.object({
-  questions: z.array(z.object({
-    question: z.string(),
-    difficulty: z.enum(["Easy", "Intermediate", "Advanced"])
-  })).nonempty(),
+  questions: z.array(QuestionItemSchema).nonempty(),
+});
+
+// Most questions that can be requested in one generation
+const MAX_QUESTION_COUNT = 20;
+
+// Accept a single value or a list (query strings give a string for one value)
+const StringList = z.preprocess(
+  (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]),
+  z.array(z.string().trim()).transform((items) => items.filter(Boolean))
+);
+
+// Define the schema for a question generation request body (or GET query)
+const GenerationRequestSchema = z.object({
+  job_role: z.string({ required_error: "Role Description is required" }).trim().min(1, "Role Description is required"),
+  description: z.string().trim().optional(),
+  count: z.coerce.number().int().min(1).max(MAX_QUESTION_COUNT).default(10),
+  difficulty_mix: z.object({
+    Easy: z.coerce.number().int().min(0),
+    Intermediate: z.coerce.number().int().min(0),
+    Advanced: z.coerce.number().int().min(0),
+  }).optional(),
+  focus_areas: StringList,
+  existing_questions: StringList,
+}).transform((request) => {
+  // An explicit difficulty mix decides the count, otherwise split the count roughly 30/30/40
+  const mix = request.difficulty_mix ?? {
+    Easy: Math.round(request.count * 0.3),
+    Intermediate: Math.round(request.count * 0.3),
+    Advanced: request.count - 2 * Math.round(request.count * 0.3),
+  };
+  const count = mix.Easy + mix.Intermediate + mix.Advanced;
+  return { ...request, difficulty_mix: mix, count };
+}).refine((request) => request.count >= 1 && request.count <= MAX_QUESTION_COUNT, {
+  message: `The difficulty mix must add up to between 1 and ${MAX_QUESTION_COUNT} questions`,
+});
+
+// Define the schema for the score of a single answer, each criterion rated 1-5
+const Score = z.number().int().min(1).max(5);
+const EvaluationSchema = z.object({
+  scores: z.object({
+    relevance: Score,
+    depth: Score,
+    clarity: Score,
+  }),
+  overall: Score,
+  rationale: z.string(),
+});
+
+// Define the schema for an answer evaluation request body
+const EvaluationRequestSchema = z.object({
+  job_role: z.string({ required_error: "Job role is required" }).trim().min(1, "Job role is required"),
+  question: z.string({ required_error: "Question is required" }).trim().min(1, "Question is required"),
+  difficulty: z.enum(Difficulty.options, { required_error: "Difficulty is required" }),
+  answer: z.string({ required_error: "Answer transcript is required" }).trim().min(1, "Answer transcript is required"),
+});
+
+// Define the schema for a question's scoring rubric, each criterion weighted 1-5 by importance
+const RubricSchema = z.object({
+  criteria: z.array(z.object({
+    name: z.string(),
+    weight: z.number().int().min(1).max(5),
+    strong: z.string(),
+    weak: z.string(),
+  })).min(2).max(6),
+});
+
+// Define the schema for a rubric generation request body
+const RubricRequestSchema = z.object({
+  job_role: z.string({ required_error: "Job role is required" }).trim().min(1, "Job role is required"),
+  description: z.string().trim().optional(),
+  question: z.string({ required_error: "Question is required" }).trim().min(1, "Question is required"),
+  difficulty: z.enum(Difficulty.options, { required_error: "Difficulty is required" }),
 });
 
 // Choose model by provider
@@ -35,7 +116,29 @@ function getModel() {
       temperature: 0.7,
     });
   }
-  throw new Error(`Unsupported AI provider: ${provider}`);
+  if (provider === "anthropic") {
+    // Uses ANTHROPIC_API_KEY
+    return new ChatAnthropic({
+      model: process.env.ANTHROPIC_MODEL || "claude-3-5-haiku-latest",
+      temperature: 0.7,
+    });
+  }
+  if (provider === "local") {
+    // Any OpenAI-compatible server, e.g. Ollama or llama.cpp
+    return new ChatOpenAI({
+      model: process.env.LOCAL_MODEL || "llama3.1",
+      temperature: 0.7,
+      apiKey: process.env.LOCAL_API_KEY || "not-needed",
+      configuration: {
+        baseURL: process.env.LOCAL_BASE_URL || "http://localhost:11434/v1",
+      },
+    });
+  }
+  if (provider === "fake") {
+    // Canned, schema-valid responses with no network or API key
+    return new FakeChatModel({});
+  }
+  throw new Error(`Unsupported AI provider: ${provider}. Use openai, anthropic, local or fake.`);
 }
 
 const baseModel = getModel();
@@ -43,21 +146,59 @@ const baseModel = getModel();
 const prompt = ChatPromptTemplate.fromMessages([
   [
     "system",
-    "You are a recruiter. Generate 10 interview questions (three Easy, three Intermediate, four Advanced) based on the provided role description. Return only a JSON array of questions with 'question' and 'difficulty' fields.",
+    "You are a recruiter. Generate {count} interview questions ({distribution}) based on the provided role description.{focus}{exclusions} Return only a JSON array of questions with 'question' and 'difficulty' fields.",
   ],
   [
     "human",
-    "Role Description: {roledescription}\nGenerate 10 interview questions with varying difficulty levels.",
+    "Role Description: {roledescription}\n{description}Generate {count} interview questions with the difficulty levels above.",
   ],
 ]);
 
+/**
+ * Turn a validated generation request into the prompt's template variables
+ * @param {object} request - Parsed GenerationRequestSchema output
+ * @returns {object} - Values for the generation prompt
+ */
+function buildGenerationInput(request) {
+  const distribution = Object.entries(request.difficulty_mix)
+    .filter(([, amount]) => amount > 0)
+    .map(([level, amount]) => `${amount} ${level}`)
+    .join(", ");
+
+  return {
+    count: request.count,
+    distribution,
+    roledescription: request.job_role,
+    description: request.description ? `Interview Description: ${request.description}\n` : "",
+    focus: request.focus_areas.length > 0
+      ? ` Focus the questions on these skills and topics: ${request.focus_areas.join("; ")}.`
+      : "",
+    exclusions: request.existing_questions.length > 0
+      ? ` The interview already has the following questions, do not repeat them or ask near-duplicates: ${request.existing_questions.map((question) => `"${question}"`).join("; ")}.`
+      : "",
+  };
+}
+
+/**
+ * Normalise question text so duplicates can be detected regardless of case and spacing
+ * @param {string} text - Question text
+ * @returns {string} - Normalised text
+ */
+function normaliseQuestion(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
 app.all("/api/generate-question", async (req, res) => {
   try {
-    const roledescription =
-      req.method === "GET" ? req.query.job_role : req.body?.job_role;
+    const request = GenerationRequestSchema.safeParse(
+      (req.method === "GET" ? req.query : req.body) ?? {}
+    );
 
-    if (!roledescription || typeof roledescription !== "string") {
-      return res.status(400).json({ error: "Role Description is required" });
+    if (!request.success) {
+      return res.status(400).json({
+        error: request.error.issues[0]?.message || "Invalid generation request",
+        details: request.error.flatten(),
+      });
     }
 
     // Ask model to emit exactly the schema (JS object already parsed)
@@ -67,7 +208,7 @@ app.all("/api/generate-question", async (req, res) => {
     });
 
     const chain = prompt.pipe(modelWithSchema);
-    const result = await chain.invoke({ roledescription });
+    const result = await chain.invoke(buildGenerationInput(request.data));
 
     const parsed = QuestionSchema.safeParse(result);
     if (!parsed.success) {
@@ -77,12 +218,336 @@ app.all("/api/generate-question", async (req, res) => {
       });
     }
 
-    res.json(parsed.data);
+    // Drop any question the interview already has, in case the model repeated one
+    const existing = new Set(request.data.existing_questions.map(normaliseQuestion));
+    const questions = parsed.data.questions
+      .filter((question) => !existing.has(normaliseQuestion(question.question)))
+      .slice(0, request.data.count);
+
+    if (questions.length === 0) {
+      return res.status(502).json({ error: "Model only returned questions already on the interview, please try again" });
+    }
+
+    res.json({ questions });
   } catch (err) {
     console.error("Error generating interview questions:", err);
     res.status(500).json({ error: "Failed to generate interview questions, ensure role description and interview is added first." });
   }
 });
 
+const streamPrompt = ChatPromptTemplate.fromMessages([
+  [
+    "system",
+    "You are a recruiter. Generate {count} interview questions ({distribution}) based on the provided role description.{focus}{exclusions} Write each question as a single-line JSON object with 'question' and 'difficulty' fields, one object per line, with no other text, numbering or code fences.",
+  ],
+  [
+    "human",
+    "Role Description: {roledescription}\n{description}Generate {count} interview questions with the difficulty levels above.",
+  ],
+]);
+
+/**
+ * Parse one line of streamed model output into a question, ignoring anything that is not one
+ * @param {string} line - A single line of model output
+ * @returns {{question: string, difficulty: string}|null} - Validated question, or null
+ */
+function parseQuestionLine(line) {
+  const trimmed = line.trim().replace(/^[-*\d.)\s]*(?=\{)/, "").replace(/,$/, "");
+  if (!trimmed.startsWith("{")) return null;
+
+  try {
+    const parsed = QuestionItemSchema.safeParse(JSON.parse(trimmed));
+    return parsed.success ? parsed.data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a single Server-Sent Event
+ * @param {express.Response} res - Response being streamed
+ * @param {string} event - Event name
+ * @param {object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streaming variant of /api/generate-question: emits a 'question' event as soon as each
+// question is complete, then 'done' (or 'error'). Closing the connection aborts the model call.
+app.all("/api/generate-question/stream", async (req, res) => {
+  const request = GenerationRequestSchema.safeParse(
+    (req.method === "GET" ? req.query : req.body) ?? {}
+  );
+
+  if (!request.success) {
+    return res.status(400).json({
+      error: request.error.issues[0]?.message || "Invalid generation request",
+      details: request.error.flatten(),
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  // Abort the model call if the client disconnects before generation finishes
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const existing = new Set(request.data.existing_questions.map(normaliseQuestion));
+  let sent = 0;
+  let buffer = "";
+
+  // Emit a question unless it duplicates one already on the interview or already sent
+  const emitLine = (line) => {
+    const question = parseQuestionLine(line);
+    if (!question || sent >= request.data.count) return;
+    const key = normaliseQuestion(question.question);
+    if (existing.has(key)) return;
+    existing.add(key);
+    sent += 1;
+    sendEvent(res, "question", question);
+  };
+
+  try {
+    const chain = streamPrompt.pipe(baseModel).pipe(new StringOutputParser());
+    const stream = await chain.stream(buildGenerationInput(request.data), { signal: controller.signal });
+
+    for await (const chunk of stream) {
+      if (controller.signal.aborted) break;
+      buffer += chunk;
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      lines.forEach(emitLine);
+    }
+
+    if (controller.signal.aborted) return;
+    emitLine(buffer);
+
+    if (sent === 0) {
+      sendEvent(res, "error", { error: "Model did not return any new questions, please try again" });
+    } else {
+      sendEvent(res, "done", { count: sent });
+    }
+    res.end();
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.error("Error streaming interview questions:", err);
+    sendEvent(res, "error", { error: "Failed to generate interview questions, ensure role description and interview is added first." });
+    res.end();
+  }
+});
+
+// Define the schema for a request to revise a single suggested question
+const RevisionRequestSchema = z.object({
+  job_role: z.string({ required_error: "Role Description is required" }).trim().min(1, "Role Description is required"),
+  description: z.string().trim().optional(),
+  question: z.string({ required_error: "Question is required" }).trim().min(1, "Question is required"),
+  difficulty: z.enum(Difficulty.options, { required_error: "Difficulty is required" }),
+  focus_areas: StringList,
+  existing_questions: StringList,
+});
+
+const revisionPrompt = ChatPromptTemplate.fromMessages([
+  [
+    "system",
+    "You are a recruiter revising a single interview question for the provided role description. {task}{focus}{exclusions} Return only the revised question with 'question' and 'difficulty' fields.",
+  ],
+  [
+    "human",
+    "Role Description: {roledescription}\n{description}Original Question ({difficulty}): {question}",
+  ],
+]);
+
+/**
+ * Create a route handler that revises one question with the model
+ * @param {z.ZodTypeAny} requestSchema - Schema for the request body, extending RevisionRequestSchema
+ * @param {function(object): {task: string, difficulty?: string}} describeTask - Builds the instruction (and any forced difficulty) from the request
+ * @returns {function(express.Request, express.Response): Promise<void>} - Express route handler
+ */
+function createRevisionHandler(requestSchema, describeTask) {
+  return async (req, res) => {
+    try {
+      const request = requestSchema.safeParse(req.body ?? {});
+      if (!request.success) {
+        return res.status(400).json({
+          error: request.error.issues[0]?.message || "Invalid revision request",
+          details: request.error.flatten(),
+        });
+      }
+
+      const { task, difficulty } = describeTask(request.data);
+      const modelWithSchema = baseModel.withStructuredOutput(QuestionItemSchema, {
+        name: "revised_question",
+        strict: true,
+      });
+
+      const chain = revisionPrompt.pipe(modelWithSchema);
+      const { focus, exclusions, description } = buildGenerationInput({
+        ...request.data,
+        difficulty_mix: {},
+        existing_questions: [...request.data.existing_questions, request.data.question],
+      });
+      const result = await chain.invoke({
+        task,
+        focus,
+        exclusions,
+        description,
+        roledescription: request.data.job_role,
+        question: request.data.question,
+        difficulty: request.data.difficulty,
+      });
+
+      const parsed = QuestionItemSchema.safeParse(result);
+      if (!parsed.success) {
+        return res.status(502).json({
+          error: "Model returned invalid schema",
+          details: parsed.error.flatten(),
+        });
+      }
+
+      res.json({ ...parsed.data, difficulty: difficulty ?? parsed.data.difficulty });
+    } catch (err) {
+      console.error("Error revising interview question:", err);
+      res.status(500).json({ error: "Failed to revise the question, please try again." });
+    }
+  };
+}
+
+// Replace a suggestion with a different question of the same difficulty
+app.post("/api/regenerate-question", createRevisionHandler(RevisionRequestSchema, (request) => ({
+  task: `Write a completely different ${request.difficulty} question that assesses another aspect of the role, replacing the original.`,
+  difficulty: request.difficulty,
+})));
+
+// Make a suggestion harder or easier, moving it one difficulty level where possible
+app.post("/api/adjust-question-difficulty", createRevisionHandler(
+  RevisionRequestSchema.extend({
+    direction: z.enum(["harder", "easier"], { required_error: "Direction must be harder or easier" }),
+  }),
+  (request) => {
+    const levels = Difficulty.options;
+    const step = request.direction === "harder" ? 1 : -1;
+    const target = levels[Math.min(Math.max(levels.indexOf(request.difficulty) + step, 0), levels.length - 1)];
+    return {
+      task: `Make the original question ${request.direction} so that it suits the ${target} level, keeping the same topic.`,
+      difficulty: target,
+    };
+  }
+));
+
+// Reword a suggestion without changing what it asks
+app.post("/api/rephrase-question", createRevisionHandler(RevisionRequestSchema, (request) => ({
+  task: "Rephrase the original question so it is clearer and reads naturally, without changing what it asks or its difficulty.",
+  difficulty: request.difficulty,
+})));
+
+// Revise a suggestion following the recruiter's own instruction
+app.post("/api/refine-question", createRevisionHandler(
+  RevisionRequestSchema.extend({
+    instruction: z.string({ required_error: "Instruction is required" }).trim().min(1, "Instruction is required").max(500),
+  }),
+  (request) => ({
+    task: `Revise the original question following this instruction from the recruiter: "${request.instruction}". Set the difficulty to match the revised question.`,
+  })
+));
+
+const evaluationPrompt = ChatPromptTemplate.fromMessages([
+  [
+    "system",
+    "You are an experienced recruiter scoring a candidate's spoken interview answer. The answer is a speech-to-text transcript, so ignore filler words and transcription errors. Score each criterion from 1 (very poor) to 5 (excellent), judged against the question's difficulty level: relevance (does it answer the question asked), depth (detail, examples and reasoning), clarity (structure and communication). Give an overall score from 1 to 5 and a short rationale of two to three sentences.",
+  ],
+  [
+    "human",
+    "Job Role: {job_role}\nQuestion ({difficulty}): {question}\nCandidate Answer Transcript: {answer}",
+  ],
+]);
+
+app.post("/api/evaluate-answer", async (req, res) => {
+  try {
+    const request = EvaluationRequestSchema.safeParse(req.body ?? {});
+    if (!request.success) {
+      return res.status(400).json({
+        error: request.error.issues[0]?.message || "Invalid evaluation request",
+        details: request.error.flatten(),
+      });
+    }
+
+    const modelWithSchema = baseModel.withStructuredOutput(EvaluationSchema, {
+      name: "answer_evaluation",
+      strict: true,
+    });
+
+    const chain = evaluationPrompt.pipe(modelWithSchema);
+    const result = await chain.invoke(request.data);
+
+    const parsed = EvaluationSchema.safeParse(result);
+    if (!parsed.success) {
+      return res.status(502).json({
+        error: "Model returned invalid schema",
+        details: parsed.error.flatten(),
+      });
+    }
+
+    res.json(parsed.data);
+  } catch (err) {
+    console.error("Error evaluating answer:", err);
+    res.status(500).json({ error: "Failed to evaluate answer." });
+  }
+});
+
+const rubricPrompt = ChatPromptTemplate.fromMessages([
+  [
+    "system",
+    "You are an experienced recruiter writing a scoring rubric for a single interview question. List two to six criteria a reviewer should score the answer on, judged against the question's difficulty level. For each criterion give a short name, a weight from 1 (minor) to 5 (essential), one sentence describing a strong answer and one sentence describing a weak answer.",
+  ],
+  [
+    "human",
+    "Job Role: {job_role}\n{description}Question ({difficulty}): {question}",
+  ],
+]);
+
+app.post("/api/generate-rubric", async (req, res) => {
+  try {
+    const request = RubricRequestSchema.safeParse(req.body ?? {});
+    if (!request.success) {
+      return res.status(400).json({
+        error: request.error.issues[0]?.message || "Invalid rubric request",
+        details: request.error.flatten(),
+      });
+    }
+
+    const modelWithSchema = baseModel.withStructuredOutput(RubricSchema, {
+      name: "question_rubric",
+      strict: true,
+    });
+
+    const chain = rubricPrompt.pipe(modelWithSchema);
+    const result = await chain.invoke({
+      ...request.data,
+      description: request.data.description ? `Interview Description: ${request.data.description}\n` : "",
+    });
+
+    const parsed = RubricSchema.safeParse(result);
+    if (!parsed.success) {
+      return res.status(502).json({
+        error: "Model returned invalid schema",
+        details: parsed.error.flatten(),
+      });
+    }
+
+    res.json(parsed.data);
+  } catch (err) {
+    console.error("Error generating rubric:", err);
+    res.status(500).json({ error: "Failed to generate rubric." });
+  }
+});
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file